@@ -0,0 +1,66 @@
+// A numeric env setting, or `fallback` when it's unset, not a finite number or below `min`
+function envNumber(value, fallback, { min = 1 } = {}) {
+  const number = Number(value)
+  return value !== undefined && value !== '' && Number.isFinite(number) && number >= min ? number : fallback
+}
+
+// TRUST_PROXY=1 (hops), true, or a preset/subnet list such as loopback
+function parseTrustProxy(value) {
+  if (value === undefined || value === '' || value === 'false') return false
+  if (value === 'true') return true
+  return /^\d+$/.test(value) ? Number(value) : value
+}
+
+export const appConfig = {
+  port: envNumber(process.env.PORT, 3000),
+
+  // Express 'trust proxy'. Set it behind a load balancer, otherwise req.ip - and with
+  // it the per-IP rate limit - is the proxy's address.
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+
+  // Requests per sliding window by role (anonymous callers are limited per IP).
+  // Writes, search and analytics also count against their own stricter budget.
+  rateLimit: {
+    enabled: process.env.NODE_ENV !== 'test',
+    windowMs: envNumber(process.env.RATE_LIMIT_WINDOW_MS, 60 * 1000),
+    budgets: {
+      default: { anonymous: 60, USER: 300, MODERATOR: 600, ADMIN: 1200 },
+      write: { anonymous: 20, USER: 60, MODERATOR: 120, ADMIN: 300 },
+      search: { anonymous: 20, USER: 60, MODERATOR: 120, ADMIN: 240 },
+      analytics: { anonymous: 10, USER: 30, MODERATOR: 60, ADMIN: 120 },
+    },
+  },
+
+  // Prisma messages and stacks under `debug` in problem+json responses
+  exposeErrorDetails: process.env.NODE_ENV === 'development',
+
+  // Cached reads (GET /api/users/:id, /api/posts/:id, analytics and reports) are
+  // invalidated by writes; ttlMs bounds how stale anything else can leave them
+  cache: {
+    ttlMs: envNumber(process.env.CACHE_TTL_MS, 5 * 60 * 1000),
+    maxEntries: envNumber(process.env.CACHE_MAX_ENTRIES, 1000),
+  },
+
+  // How long GET /api/analytics/posts reuses a computed result
+  analyticsCacheTtlMs: envNumber(process.env.ANALYTICS_CACHE_TTL_MS, 30 * 1000),
+
+  // POST /api/posts/:id/views: one view per visitor per window, flushed in batches
+  viewTracking: {
+    windowMs: envNumber(process.env.VIEW_WINDOW_MS, 30 * 60 * 1000),
+    flushIntervalMs: envNumber(process.env.VIEW_FLUSH_INTERVAL_MS, 5000),
+  },
+
+  // On SIGINT/SIGTERM: how long /readyz fails before the listener closes (time for a
+  // load balancer to notice), and how long in-flight requests then get to finish.
+  // SHUTDOWN_READINESS_GRACE_MS=0 skips the wait, e.g. in local development.
+  shutdown: {
+    readinessGraceMs: envNumber(process.env.SHUTDOWN_READINESS_GRACE_MS, 5 * 1000, { min: 0 }),
+    drainTimeoutMs: envNumber(process.env.SHUTDOWN_DRAIN_TIMEOUT_MS, 10 * 1000),
+  },
+
+  // One console line per request
+  logRequests: process.env.NODE_ENV !== 'test',
+
+  // Prisma client log levels, e.g. PRISMA_LOG=warn,error to silence query logging
+  prismaLog: process.env.PRISMA_LOG ? process.env.PRISMA_LOG.split(',') : ['query', 'info', 'warn', 'error'],
+}
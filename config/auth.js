@@ -0,0 +1,12 @@
+export const authConfig = {
+  // HMAC secrets for signing tokens - set real values in .env outside local development
+  accessTokenSecret: process.env.ACCESS_TOKEN_SECRET || 'dev-access-secret-change-me',
+  refreshTokenSecret: process.env.REFRESH_TOKEN_SECRET || 'dev-refresh-secret-change-me',
+
+  // Token lifetimes in seconds
+  accessTokenTtl: 15 * 60,
+  refreshTokenTtl: 7 * 24 * 60 * 60,
+
+  // Password rules
+  minPasswordLength: 8,
+}
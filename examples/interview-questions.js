@@ -177,15 +177,15 @@ async function demonstrateTransactions() {
         data: { views: { increment: 10 } }
       })
       
-      // Create audit log (this would fail if table doesn't exist)
-      // await tx.auditLog.create({
-      //   data: { action: 'BULK_UPDATE_VIEWS' }
-      // })
+      // Record the bulk change; rolls back together with the update
+      await tx.auditLog.create({
+        data: { action: 'BULK_UPDATE_VIEWS', model: 'Post' }
+      })
       
       console.log('Advanced transaction completed successfully')
     })
   } catch (error) {
-    console.log('Advanced transaction failed (as expected):', error.code)
+    console.log('Advanced transaction failed:', error.code)
   }
 }
 
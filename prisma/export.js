@@ -0,0 +1,48 @@
+import { createWriteStream } from 'node:fs'
+import { Readable } from 'node:stream'
+import { pipeline } from 'node:stream/promises'
+import { parseArgs } from 'node:util'
+import { createPrismaClient } from '../src/db.js'
+import { exportLines, TRANSFER_RESOURCES } from '../src/dataTransfer.js'
+
+// ⬇️ Streams users, posts or comments to a CSV or NDJSON file (stdout by default)
+//
+//   npm run db:export -- users --format csv --out users.csv
+
+const prisma = createPrismaClient()
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    format: { type: 'string', default: 'ndjson' },
+    out: { type: 'string' }
+  }
+})
+
+async function main() {
+  const [resource] = positionals
+
+  if (!TRANSFER_RESOURCES.includes(resource)) {
+    throw new Error(`Usage: db:export <${TRANSFER_RESOURCES.join('|')}> [--format csv|ndjson] [--out file]`)
+  }
+
+  if (!['csv', 'ndjson'].includes(values.format)) {
+    throw new Error(`--format must be csv or ndjson, got "${values.format}"`)
+  }
+
+  const output = values.out ? createWriteStream(values.out) : process.stdout
+  await pipeline(Readable.from(exportLines(prisma, resource, values.format)), output)
+
+  if (values.out) {
+    console.error(`✅ Exported ${resource} to ${values.out}`)
+  }
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Error during export:', e.message)
+    process.exitCode = 1
+  })
+  .finally(async () => {
+    await prisma.$disconnect()
+  })
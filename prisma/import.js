@@ -0,0 +1,57 @@
+import { createReadStream } from 'node:fs'
+import { extname } from 'node:path'
+import { parseArgs } from 'node:util'
+import { createPrismaClient } from '../src/db.js'
+import { importRecords, readRows, TRANSFER_RESOURCES } from '../src/dataTransfer.js'
+
+// ⬆️ Upserts users, posts or comments from a CSV or NDJSON file. The format follows
+// the file extension unless --format is given; --dry-run validates without writing.
+//
+//   npm run db:import -- users users.csv --dry-run
+
+const prisma = createPrismaClient()
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    format: { type: 'string' },
+    'dry-run': { type: 'boolean', default: false }
+  }
+})
+
+async function main() {
+  const [resource, file] = positionals
+
+  if (!TRANSFER_RESOURCES.includes(resource) || !file) {
+    throw new Error(`Usage: db:import <${TRANSFER_RESOURCES.join('|')}> <file> [--format csv|ndjson] [--dry-run]`)
+  }
+
+  const format = values.format || (extname(file) === '.csv' ? 'csv' : 'ndjson')
+
+  if (!['csv', 'ndjson'].includes(format)) {
+    throw new Error(`--format must be csv or ndjson, got "${format}"`)
+  }
+
+  const report = await importRecords(prisma, resource, readRows(createReadStream(file), resource, format), {
+    dryRun: values['dry-run'],
+    maxErrors: Infinity
+  })
+
+  for (const { row, errors } of report.errors) {
+    console.log(`  row ${row}: ${errors.map(({ field, message }) => (field ? `${field} ${message}` : message)).join('; ')}`)
+  }
+
+  const { errors, errorsTruncated, ...summary } = report
+  console.log(`${values['dry-run'] ? '🧪 Dry run' : '✅ Import'} finished:`, summary)
+
+  if (report.failed > 0) process.exitCode = 1
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Error during import:', e.message)
+    process.exitCode = 1
+  })
+  .finally(async () => {
+    await prisma.$disconnect()
+  })
@@ -0,0 +1,52 @@
+import { parseArgs } from 'node:util'
+import { PrismaClient } from '@prisma/client'
+
+// 🧹 Permanently removes users, posts and comments that were soft-deleted more than
+// --days ago. Uses a plain client: the soft-delete extension would hide these rows.
+//
+//   npm run db:purge -- --days 90 --dry-run
+
+const prisma = new PrismaClient()
+
+const { values } = parseArgs({
+  options: {
+    days: { type: 'string', default: process.env.SOFT_DELETE_RETENTION_DAYS || '30' },
+    'dry-run': { type: 'boolean', default: false }
+  }
+})
+
+const days = Number(values.days)
+const dryRun = values['dry-run']
+
+// Children first, so counts aren't swallowed by the database cascades
+const MODELS = ['comment', 'post', 'user']
+
+async function main() {
+  if (!Number.isInteger(days) || days < 0) {
+    throw new Error(`--days must be a non-negative integer, got "${values.days}"`)
+  }
+
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+  const where = { deletedAt: { lt: cutoff } }
+
+  console.log(`🧹 ${dryRun ? 'Would purge' : 'Purging'} records soft-deleted before ${cutoff.toISOString()}`)
+
+  const stats = {}
+  for (const model of MODELS) {
+    const { count } = dryRun
+      ? { count: await prisma[model].count({ where }) }
+      : await prisma[model].deleteMany({ where })
+    stats[model] = count
+  }
+
+  console.log('Statistics:', stats)
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Error during purge:', e)
+    process.exit(1)
+  })
+  .finally(async () => {
+    await prisma.$disconnect()
+  })
@@ -1,119 +1,293 @@
+import { parseArgs } from 'node:util'
 import { PrismaClient } from '@prisma/client'
 import { faker } from '@faker-js/faker'
+import { hashPassword } from '../src/auth.js'
+
+// 🌱 Seeds the database from a named scenario, with counts overridable per model
+//
+//   npm run db:seed
+//   npm run db:seed -- --scenario load-test --seed 7
+//   npm run db:seed -- --users 50 --posts 500 --comments 2000 --append
+//   npm run db:seed -- --ref-date 2026-06-30
+//
+// Dates fall in the two years before --ref-date, by default the start of the current
+// UTC day: recent enough for the default analytics ranges, and the same --seed
+// produces the same rows for the whole day (pass --ref-date to pin it for longer).
+// Nothing is dated before its author, post or parent, even when those are newer.
+// Rows are written with batched createMany calls. Ids are assigned here, continuing
+// from the current maximum, so comments can point at parents from the same batch;
+// the id sequences are moved past them afterwards. Nothing else should write to the
+// database while it runs.
 
 const prisma = new PrismaClient()
 
-async function main() {
-  console.log('🌱 Starting database seeding...')
+const SEED_PASSWORD = 'password123'
+
+const SCENARIOS = {
+  empty: { users: 0, categories: 0, posts: 0, comments: 0 },
+  demo: { users: 10, categories: 4, posts: 30, comments: 75 },
+  'load-test': { users: 1000, categories: 20, posts: 100_000, comments: 250_000 }
+}
+
+const CATEGORY_PRESETS = [
+  { name: 'Technology', color: '#3B82F6' },
+  { name: 'Programming', color: '#10B981' },
+  { name: 'Design', color: '#F59E0B' },
+  { name: 'Business', color: '#EF4444' },
+  { name: 'Science', color: '#8B5CF6' },
+  { name: 'Health', color: '#EC4899' },
+  { name: 'Travel', color: '#14B8A6' },
+  { name: 'Culture', color: '#F97316' }
+]
+
+// Children first, so foreign keys never block a delete
+const WIPE_ORDER = ['auditLog', 'refreshToken', 'postOwnershipChange', 'comment', 'postCategory', 'post', 'category', 'profile', 'user']
+
+const { values } = parseArgs({
+  options: {
+    scenario: { type: 'string', default: 'demo' },
+    users: { type: 'string' },
+    categories: { type: 'string' },
+    posts: { type: 'string' },
+    comments: { type: 'string' },
+    seed: { type: 'string', default: '42' },
+    'batch-size': { type: 'string', default: '1000' },
+    append: { type: 'boolean', default: false },
+    'ref-date': { type: 'string' }
+  }
+})
+
+function parseCount(name, value) {
+  const count = Number(value)
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`--${name} must be a non-negative integer, got "${value}"`)
+  }
+  return count
+}
 
-  // Clear existing data
-  await prisma.comment.deleteMany()
-  await prisma.postCategory.deleteMany()
-  await prisma.post.deleteMany()
-  await prisma.category.deleteMany()
-  await prisma.profile.deleteMany()
-  await prisma.user.deleteMany()
+function resolveOptions() {
+  const scenario = SCENARIOS[values.scenario]
+  if (!scenario) {
+    throw new Error(`Unknown scenario "${values.scenario}", expected one of: ${Object.keys(SCENARIOS).join(', ')}`)
+  }
+
+  const counts = {}
+  for (const [name, count] of Object.entries(scenario)) {
+    counts[name] = values[name] === undefined ? count : parseCount(name, values[name])
+  }
+
+  if (counts.comments > 0 && counts.posts === 0) {
+    throw new Error('--comments needs --posts greater than 0')
+  }
+
+  const batchSize = parseCount('batch-size', values['batch-size'])
+  if (batchSize === 0) throw new Error('--batch-size must be at least 1')
+
+  const refDate = values['ref-date'] === undefined ? startOfToday() : new Date(values['ref-date'])
+  if (Number.isNaN(refDate.getTime())) {
+    throw new Error(`--ref-date must be a date, got "${values['ref-date']}"`)
+  }
+
+  return { counts, seed: parseCount('seed', values.seed), batchSize, append: values.append, refDate }
+}
 
+function startOfToday() {
+  const now = new Date()
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()))
+}
+
+// A date between `from` and refDate, or `from` itself when it's newer (an appended
+// post may belong to a user who registered after refDate) - faker throws on from > to
+function dateUpTo(refDate, { from }) {
+  return faker.date.between({ from, to: Math.max(from, refDate) })
+}
+
+// First id to hand out for a table: one past the current maximum
+async function nextId(model) {
+  const { _max } = await prisma[model].aggregate({ _max: { id: true } })
+  return (_max.id || 0) + 1
+}
+
+// createMany with explicit ids leaves the sequence behind; move it to the last id used
+async function syncSequence(table, lastId) {
+  await prisma.$queryRaw`SELECT setval(pg_get_serial_sequence(${table}, 'id'), ${lastId}::int)`
+}
+
+async function insertInBatches(model, rows, batchSize) {
+  for (let i = 0; i < rows.length; i += batchSize) {
+    await prisma[model].createMany({ data: rows.slice(i, i + batchSize) })
+  }
+}
+
+async function wipe() {
+  for (const model of WIPE_ORDER) {
+    await prisma[model].deleteMany()
+  }
   console.log('🗑️  Cleared existing data')
+}
 
-  // Create categories first
-  const categories = await Promise.all([
-    prisma.category.create({
-      data: {
-        name: 'Technology',
-        color: '#3B82F6'
-      }
-    }),
-    prisma.category.create({
-      data: {
-        name: 'Programming',
-        color: '#10B981'
-      }
-    }),
-    prisma.category.create({
-      data: {
-        name: 'Design',
-        color: '#F59E0B'
-      }
-    }),
-    prisma.category.create({
-      data: {
-        name: 'Business',
-        color: '#EF4444'
-      }
-    })
-  ])
-
-  console.log('📂 Created categories')
-
-  // Create users with profiles
-  const users = []
-  for (let i = 0; i < 10; i++) {
-    const user = await prisma.user.create({
-      data: {
-        email: faker.internet.email(),
-        name: faker.person.fullName(),
+async function seedCategories(count) {
+  const rows = Array.from({ length: count }, (_, i) => CATEGORY_PRESETS[i] || {
+    name: `${faker.commerce.department()} ${i + 1}`,
+    color: faker.color.rgb({ casing: 'upper' })
+  })
+
+  // When appending, categories that already exist are kept as they are
+  await prisma.category.createMany({ data: rows, skipDuplicates: true })
+
+  const categories = await prisma.category.findMany({ select: { id: true }, orderBy: { id: 'asc' } })
+  console.log(`📂 Created up to ${count} categories (${categories.length} in total)`)
+  return categories
+}
+
+async function seedUsers(count, { batchSize, append, refDate }) {
+  // Every seeded user shares one demo password (hashed once - scrypt is deliberately slow)
+  const passwordHash = await hashPassword(SEED_PASSWORD)
+  const firstId = await nextId('user')
+
+  for (let start = 0; start < count; start += batchSize) {
+    const users = []
+    const profiles = []
+
+    for (let i = start; i < Math.min(start + batchSize, count); i++) {
+      const id = firstId + i
+      const firstName = faker.person.firstName()
+      const lastName = faker.person.lastName()
+      // The id suffix keeps emails unique across runs and appends
+      const [local, domain] = faker.internet.email({ firstName, lastName }).split('@')
+
+      users.push({
+        id,
+        email: `${local}.${id}@${domain}`,
+        name: `${firstName} ${lastName}`,
         age: faker.number.int({ min: 18, max: 65 }),
-        role: i === 0 ? 'ADMIN' : i === 1 ? 'MODERATOR' : 'USER',
-        profile: {
-          create: {
-            bio: faker.lorem.paragraph(),
-            avatar: faker.image.avatar(),
-            website: faker.internet.url(),
-            location: `${faker.location.city()}, ${faker.location.country()}`
-          }
-        }
-      }
-    })
-    users.push(user)
+        // A fresh database gets one admin and one moderator
+        role: !append && i === 0 ? 'ADMIN' : !append && i === 1 ? 'MODERATOR' : 'USER',
+        passwordHash,
+        createdAt: faker.date.past({ years: 2, refDate })
+      })
+      profiles.push({
+        userId: id,
+        bio: faker.lorem.paragraph(),
+        avatar: faker.image.avatar(),
+        website: faker.internet.url(),
+        location: `${faker.location.city()}, ${faker.location.country()}`
+      })
+    }
+
+    await prisma.user.createMany({ data: users })
+    await prisma.profile.createMany({ data: profiles })
   }
 
-  console.log('👥 Created users with profiles')
-
-  // Create posts with categories
-  for (const user of users) {
-    const postCount = faker.number.int({ min: 1, max: 5 })
-    
-    for (let i = 0; i < postCount; i++) {
-      const post = await prisma.post.create({
-        data: {
-          title: faker.lorem.sentence(),
-          content: faker.lorem.paragraphs(3),
-          published: faker.datatype.boolean(),
-          views: faker.number.int({ min: 0, max: 1000 }),
-          authorId: user.id
-        }
-      })
+  if (count > 0) await syncSequence('users', firstId + count - 1)
+  console.log(`👥 Created ${count} users with profiles (password: ${SEED_PASSWORD})`)
+}
+
+// Comments are spread over posts as they're generated: each post batch takes its
+// share of the total, and a reply always follows a comment on the same post
+function generateComments(posts, count, authors, { firstId, refDate }) {
+  const comments = []
+  const byPost = new Map()
+
+  for (let i = 0; i < count; i++) {
+    const post = faker.helpers.arrayElement(posts)
+    const author = faker.helpers.arrayElement(authors)
+    const earlier = byPost.get(post.id) || []
+    const parent = earlier.length > 0 && faker.datatype.boolean() ? faker.helpers.arrayElement(earlier) : null
+    const from = Math.max(parent?.createdAt ?? post.createdAt, author.createdAt)
 
-      // Assign random categories to post
-      const numCategories = faker.number.int({ min: 1, max: 3 })
-      const randomCategories = faker.helpers.arrayElements(categories, numCategories)
-      
-      for (const category of randomCategories) {
-        await prisma.postCategory.create({
-          data: {
-            postId: post.id,
-            categoryId: category.id
-          }
-        })
+    const comment = {
+      id: firstId + i,
+      content: faker.lorem.paragraph(),
+      authorId: author.id,
+      postId: post.id,
+      parentId: parent?.id ?? null,
+      createdAt: dateUpTo(refDate, { from })
+    }
+
+    // Parents always come before their replies, so every insert batch is valid
+    comments.push(comment)
+    if (!byPost.has(post.id)) byPost.set(post.id, [])
+    byPost.get(post.id).push(comment)
+  }
+
+  return comments
+}
+
+async function seedPostsAndComments(counts, categories, { batchSize, refDate }) {
+  const { posts: postCount, comments: commentCount } = counts
+
+  if (postCount === 0) return
+
+  // Authors include users that were already there when appending
+  const authors = await prisma.user.findMany({
+    where: { deletedAt: null },
+    select: { id: true, createdAt: true }
+  })
+  if (authors.length === 0) throw new Error('--posts needs at least one user')
+
+  const firstPostId = await nextId('post')
+  const firstCommentId = await nextId('comment')
+  let commentsCreated = 0
+
+  for (let start = 0; start < postCount; start += batchSize) {
+    const end = Math.min(start + batchSize, postCount)
+    const posts = []
+    const links = []
+
+    for (let i = start; i < end; i++) {
+      const author = faker.helpers.arrayElement(authors)
+      const post = {
+        id: firstPostId + i,
+        title: faker.lorem.sentence(),
+        content: faker.lorem.paragraphs(3),
+        published: faker.datatype.boolean({ probability: 0.7 }),
+        views: faker.number.int({ min: 0, max: 1000 }),
+        authorId: author.id,
+        createdAt: dateUpTo(refDate, { from: author.createdAt })
       }
+      posts.push(post)
 
-      // Create comments for post
-      const commentCount = faker.number.int({ min: 0, max: 5 })
-      for (let j = 0; j < commentCount; j++) {
-        const randomUser = faker.helpers.arrayElement(users)
-        await prisma.comment.create({
-          data: {
-            content: faker.lorem.paragraph(),
-            authorId: randomUser.id,
-            postId: post.id
-          }
-        })
+      if (categories.length > 0) {
+        const picked = faker.helpers.arrayElements(categories, { min: 1, max: Math.min(3, categories.length) })
+        for (const category of picked) {
+          links.push({ postId: post.id, categoryId: category.id })
+        }
       }
     }
+
+    // This batch's share of the comments, rounded so the shares add up exactly
+    const share = Math.floor((commentCount * end) / postCount) - Math.floor((commentCount * start) / postCount)
+    const comments = generateComments(posts, share, authors, { firstId: firstCommentId + commentsCreated, refDate })
+
+    await prisma.post.createMany({ data: posts })
+    await prisma.postCategory.createMany({ data: links })
+    await insertInBatches('comment', comments, batchSize)
+    commentsCreated += comments.length
+
+    if (postCount > batchSize) {
+      console.log(`   … ${end}/${postCount} posts`)
+    }
   }
 
-  console.log('📝 Created posts with categories and comments')
+  await syncSequence('posts', firstPostId + postCount - 1)
+  if (commentsCreated > 0) await syncSequence('comments', firstCommentId + commentsCreated - 1)
+
+  console.log(`📝 Created ${postCount} posts with categories and ${commentsCreated} comments`)
+}
+
+async function main() {
+  const { counts, seed, batchSize, append, refDate } = resolveOptions()
+  const startedAt = Date.now()
+
+  faker.seed(seed)
+  console.log(`🌱 Seeding "${values.scenario}" (seed ${seed}${append ? ', appending' : ''}):`, counts)
+
+  if (!append) await wipe()
+
+  const categories = await seedCategories(counts.categories)
+  await seedUsers(counts.users, { batchSize, append, refDate })
+  await seedPostsAndComments(counts, categories, { batchSize, refDate })
 
   // Show statistics
   const stats = {
@@ -125,7 +299,7 @@ async function main() {
     postCategories: await prisma.postCategory.count()
   }
 
-  console.log('📊 Database seeding completed!')
+  console.log(`📊 Database seeding completed in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`)
   console.log('Statistics:', stats)
 }
 
@@ -136,4 +310,4 @@ main()
   })
   .finally(async () => {
     await prisma.$disconnect()
-  }) 
\ No newline at end of file
+  })
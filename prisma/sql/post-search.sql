@@ -0,0 +1,18 @@
+-- Search indexes for /api/posts/search (src/search.js)
+-- Apply with: npm run db:search-index
+--
+-- Prisma can't model expression indexes, so they live here. The expressions must
+-- stay byte-for-byte identical to the ones in src/search.js, otherwise PostgreSQL
+-- won't use the index. Note the quoted camelCase column names: schema.prisma maps
+-- table names only, so columns keep their Prisma field names.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Weighted document: title matches (A) rank above content matches (B)
+CREATE INDEX IF NOT EXISTS posts_search_document_idx ON posts USING GIN (
+  (setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+   setweight(to_tsvector('english', coalesce(content, '')), 'B'))
+);
+
+-- Trigram index for typo-tolerant title matching (word_similarity / <% operator)
+CREATE INDEX IF NOT EXISTS posts_title_trgm_idx ON posts USING GIN (title gin_trgm_ops);
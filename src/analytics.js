@@ -0,0 +1,145 @@
+import { Prisma } from '@prisma/client'
+import { BadRequestError } from './errors.js'
+import { postFilterConditions } from './search.js'
+
+// 📈 Engagement analytics computed in PostgreSQL
+//
+// Bucketing, counting and gap filling all happen in SQL: rows are grouped with
+// date_trunc, and generate_series produces every bucket in the range so quiet days
+// come back as zeros instead of missing entries.
+
+export const INTERVALS = ['day', 'week', 'month']
+
+// Everything these queries (and src/reports.js) read, for cache invalidation
+export const ANALYTICS_MODELS = ['Post', 'Comment', 'User', 'Category', 'PostCategory']
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Approximate bucket sizes, only used to size the default range and cap requests
+const INTERVAL_MS = { day: DAY_MS, week: 7 * DAY_MS, month: 31 * DAY_MS }
+const MAX_BUCKETS = 1000
+
+// Fills in a missing range ending now and `defaultBuckets` intervals long, and
+// rejects ranges that are backwards or would produce too many buckets
+export function bucketRange(interval, { from, to = new Date() }, { defaultBuckets = 30 } = {}) {
+  const start = from ?? new Date(to.getTime() - (defaultBuckets - 1) * INTERVAL_MS[interval])
+
+  if (start > to) {
+    throw new BadRequestError('date_from must not be after date_to')
+  }
+
+  if ((to - start) / INTERVAL_MS[interval] > MAX_BUCKETS) {
+    throw new BadRequestError(`Range spans more than ${MAX_BUCKETS} ${interval} buckets, use a coarser interval`)
+  }
+
+  return { from: start, to }
+}
+
+// Dashboards get complete buckets: the range is widened to the start of the first
+// and the end of the last one
+export async function engagementTimeseries(prisma, { interval, from, to, category, author }) {
+  const step = `1 ${interval}`
+  const postConditions = postFilterConditions({ category, author })
+
+  // Posts and their views are counted by the post's creation bucket; comments by
+  // their own creation time, on posts that pass the filters. New users ignore the
+  // category and author filters.
+  return prisma.$queryRaw`
+    WITH buckets AS (
+      SELECT generate_series(
+        date_trunc(${interval}, ${from}::timestamp),
+        date_trunc(${interval}, ${to}::timestamp),
+        ${step}::interval
+      ) AS bucket
+    ),
+    bounds AS (
+      SELECT MIN(bucket) AS start, MAX(bucket) + ${step}::interval AS finish FROM buckets
+    ),
+    matching_posts AS (
+      SELECT p.id, p.views, p."createdAt"
+      FROM posts p
+      WHERE ${Prisma.join(postConditions, ' AND ')}
+    ),
+    post_stats AS (
+      SELECT
+        date_trunc(${interval}, mp."createdAt") AS bucket,
+        COUNT(*)::int AS posts,
+        -- float8 so large sums don't come back as BigInt
+        SUM(mp.views)::float8 AS views
+      FROM matching_posts mp, bounds
+      WHERE mp."createdAt" >= bounds.start AND mp."createdAt" < bounds.finish
+      GROUP BY 1
+    ),
+    comment_stats AS (
+      SELECT date_trunc(${interval}, c."createdAt") AS bucket, COUNT(*)::int AS comments
+      FROM comments c
+      JOIN matching_posts mp ON mp.id = c."postId", bounds
+      WHERE c."deletedAt" IS NULL AND c."createdAt" >= bounds.start AND c."createdAt" < bounds.finish
+      GROUP BY 1
+    ),
+    user_stats AS (
+      SELECT date_trunc(${interval}, u."createdAt") AS bucket, COUNT(*)::int AS users
+      FROM users u, bounds
+      WHERE u."deletedAt" IS NULL AND u."createdAt" >= bounds.start AND u."createdAt" < bounds.finish
+      GROUP BY 1
+    )
+    SELECT
+      b.bucket,
+      COALESCE(ps.posts, 0) AS posts,
+      COALESCE(cs.comments, 0) AS comments,
+      COALESCE(us.users, 0) AS "newUsers",
+      COALESCE(ps.views, 0) AS views
+    FROM buckets b
+    LEFT JOIN post_stats ps ON ps.bucket = b.bucket
+    LEFT JOIN comment_stats cs ON cs.bucket = b.bucket
+    LEFT JOIN user_stats us ON us.bucket = b.bucket
+    ORDER BY b.bucket
+  `
+}
+
+// Per-category totals over posts that pass the filters. The filters sit in the
+// join condition so categories without matching posts still come back with zeros.
+export async function categoryAnalytics(prisma, { dateFrom, dateTo, author }) {
+  const postConditions = postFilterConditions({ dateFrom, dateTo, author })
+
+  return prisma.$queryRaw`
+    SELECT
+      c.id,
+      c.name AS category,
+      COUNT(p.id)::int AS "totalPosts",
+      COUNT(p.id) FILTER (WHERE p.published)::int AS "publishedPosts",
+      COALESCE(SUM(p.views), 0)::float8 AS "totalViews",
+      COALESCE(ROUND(AVG(p.views), 2), 0)::float8 AS "avgViews"
+    FROM categories c
+    LEFT JOIN post_categories pc ON pc."categoryId" = c.id
+    LEFT JOIN posts p ON p.id = pc."postId" AND ${Prisma.join(postConditions, ' AND ')}
+    GROUP BY c.id
+    ORDER BY c.name
+  `
+}
+
+// Authors with the most matching posts, plus their comments in the same date range
+export async function topAuthors(prisma, { dateFrom, dateTo, author, limit = 5 }) {
+  const postConditions = postFilterConditions({ dateFrom, dateTo, author })
+  const commentConditions = [Prisma.sql`c."authorId" = u.id`, Prisma.sql`c."deletedAt" IS NULL`]
+  if (dateFrom) commentConditions.push(Prisma.sql`c."createdAt" >= ${dateFrom}`)
+  if (dateTo) commentConditions.push(Prisma.sql`c."createdAt" <= ${dateTo}`)
+
+  const rows = await prisma.$queryRaw`
+    SELECT
+      u.id,
+      u.name,
+      u.email,
+      COUNT(p.id)::int AS posts,
+      (SELECT COUNT(*)::int FROM comments c WHERE ${Prisma.join(commentConditions, ' AND ')}) AS comments
+    FROM users u
+    JOIN posts p ON p."authorId" = u.id
+    WHERE u."deletedAt" IS NULL AND ${Prisma.join(postConditions, ' AND ')}
+    GROUP BY u.id
+    ORDER BY posts DESC, u.id
+    LIMIT ${limit}
+  `
+
+  // Same shape the Prisma _count version returned
+  return rows.map(({ posts, comments, ...user }) => ({ ...user, _count: { posts, comments } }))
+}
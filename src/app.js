@@ -0,0 +1,125 @@
+import express from 'express'
+import cors from 'cors'
+import helmet from 'helmet'
+import { appConfig } from '../config/app.js'
+import { authenticate } from './auth.js'
+import { auditContext } from './audit.js'
+import { createCache, createMemoryStore } from './cache.js'
+import { extendClient } from './db.js'
+import { errorHandler, notFoundHandler } from './errorHandler.js'
+import { createLifecycle } from './lifecycle.js'
+import { analyticsRoutes } from './routes/analytics.js'
+import { auditRoutes } from './routes/audit.js'
+import { authRoutes } from './routes/auth.js'
+import { bulkRoutes } from './routes/bulk.js'
+import { categoryRoutes } from './routes/categories.js'
+import { commentRoutes } from './routes/comments.js'
+import { healthRoutes } from './routes/health.js'
+import { postRoutes } from './routes/posts.js'
+import { reportRoutes } from './routes/reports.js'
+import { userRoutes } from './routes/users.js'
+import { rateLimit } from './rateLimit.js'
+import { jsonReplacer } from './serialize.js'
+import { createViewTracker } from './viewTracker.js'
+
+const isPlainObject = (value) => Object.prototype.toString.call(value) === '[object Object]'
+
+// Overrides merge into config/app.js section by section, so { rateLimit: { budgets } }
+// keeps rateLimit.enabled and windowMs; any other value replaces the default
+function mergeConfig(defaults, overrides) {
+  const merged = { ...defaults }
+
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] = isPlainObject(value) && isPlainObject(defaults[key]) ? mergeConfig(defaults[key], value) : value
+  }
+
+  return merged
+}
+
+// 🏭 Builds the Express app without listening or connecting, so it can be mounted
+// inside another server or driven by HTTP tests.
+//   prisma - a plain PrismaClient; extendClient() (src/db.js) adds the cache,
+//            soft-delete, audit and transaction extensions the routes rely on
+//   config - overrides for config/app.js, merged per nested section
+//   cacheStore - where cached reads live (src/cache.js); an in-memory LRU by default
+//   rateLimitStore - request counters (src/rateLimit.js); in memory by default
+// Buffered view counts must be flushed before disconnecting Prisma:
+// await app.locals.viewTracker.stop()
+// app.locals.lifecycle.drain() fails /readyz while the server shuts down.
+export function createApp({ prisma: client, config = {}, cacheStore, rateLimitStore }) {
+  const settings = mergeConfig(appConfig, config)
+  const app = express()
+
+  // Every write made through the routes' client invalidates the models it touched
+  const cache = createCache({
+    ttl: settings.cache.ttlMs,
+    store: cacheStore ?? createMemoryStore({ maxEntries: settings.cache.maxEntries })
+  })
+  const prisma = extendClient(client, { cache })
+  app.locals.cache = cache
+
+  const viewTracker = createViewTracker({ prisma, cache, ...settings.viewTracking })
+  app.locals.viewTracker = viewTracker
+
+  const lifecycle = createLifecycle()
+  app.locals.lifecycle = lifecycle
+
+  // req.ip comes from X-Forwarded-For only for trusted proxies
+  app.set('trust proxy', settings.trustProxy)
+
+  // Middleware
+  app.use(helmet())
+  app.use(cors())
+  app.use(express.json())
+
+  // While draining, keep-alive clients are told to reconnect (to another instance)
+  app.use((req, res, next) => {
+    if (lifecycle.isDraining()) res.set('Connection', 'close')
+    next()
+  })
+
+  // /healthz and /readyz - ahead of logging, authentication and rate limiting
+  app.use(healthRoutes({ prisma, lifecycle }))
+
+  // BigInt-safe JSON that never includes password hashes, however deep they sit
+  app.set('json replacer', jsonReplacer)
+
+  // Hash of the exact body, so If-None-Match revalidation gets a 304 (src/httpCache.js)
+  app.set('etag', 'strong')
+
+  // Request logging middleware
+  if (settings.logRequests) {
+    app.use((req, res, next) => {
+      console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`)
+      next()
+    })
+  }
+
+  // Attach req.user from the Bearer access token (anonymous requests pass through)
+  app.use(authenticate(prisma))
+
+  // Budgets depend on the caller's role, so this runs after authentication
+  if (settings.rateLimit.enabled) {
+    app.use(rateLimit({ store: rateLimitStore, ...settings.rateLimit }))
+  }
+
+  // Actor and request id for audit entries; echoes X-Request-Id back
+  app.use(auditContext())
+
+  // Routes - each router defines its paths relative to /api
+  app.use('/api', authRoutes({ prisma }))
+  app.use('/api', userRoutes({ prisma, cache }))
+  app.use('/api', analyticsRoutes({ prisma, cache, config: settings }))
+  app.use('/api', reportRoutes({ prisma, cache, config: settings }))
+  app.use('/api', postRoutes({ prisma, cache, viewTracker }))
+  app.use('/api', commentRoutes({ prisma }))
+  app.use('/api', categoryRoutes({ prisma }))
+  app.use('/api', auditRoutes({ prisma }))
+  app.use('/api', bulkRoutes({ prisma }))
+
+  // Unmatched routes and every thrown error become application/problem+json
+  app.use(notFoundHandler)
+  app.use(errorHandler({ exposeDetails: settings.exposeErrorDetails }))
+
+  return app
+}
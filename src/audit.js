@@ -0,0 +1,246 @@
+import { AsyncLocalStorage } from 'node:async_hooks'
+import { randomUUID } from 'node:crypto'
+import { Prisma } from '@prisma/client'
+import { currentTransaction, runInTransaction } from './transactionScope.js'
+
+// 📜 Automatic audit trail
+//
+// A Prisma client extension that writes an AuditLog row for every create, update,
+// upsert and delete, with before/after snapshots and a field-level diff. The actor
+// and request id come from an AsyncLocalStorage context opened per request by
+// auditContext(), so routes don't pass anything along.
+//
+// Batch operations (createMany/updateMany/deleteMany) don't return rows, so they
+// produce one entry with the where/data arguments and the affected count.
+//
+// The snapshots, the write and the entry always commit or roll back together: inside
+// prisma.$transaction they go through that transaction (told apart by
+// transactionScope()), and a standalone write gets a transaction of its own. An
+// entry that can't be written fails the change with it.
+//
+// Nested relation writes (profile: { upsert }, categories: { create }) never reach
+// query extensions, so an update carrying them is recorded even when the row's own
+// columns didn't change; the nested payload appears in the diff under `nested`.
+
+const requestContext = new AsyncLocalStorage()
+
+// Refresh tokens rotate on every login and refresh; AuditLog must not audit itself,
+// and PostOwnershipChange is already a history of the post updates it goes with
+const IGNORED_MODELS = ['AuditLog', 'RefreshToken', 'PostOwnershipChange']
+
+const SINGLE_OPERATIONS = ['create', 'update', 'upsert', 'delete']
+const BATCH_OPERATIONS = ['createMany', 'updateMany', 'deleteMany']
+
+// Stored as a marker so a password change still shows up in the diff
+const REDACTED_FIELDS = ['passwordHash']
+const REDACTED = '[REDACTED]'
+
+// Bumped by every write, it would turn each diff into noise
+const UNTRACKED_FIELDS = ['updatedAt']
+
+// Client-supplied ids are echoed back but never trusted blindly
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/
+
+const scalarFields = new Map(
+  Prisma.dmmf.datamodel.models.map(model => [
+    model.name,
+    model.fields.filter(field => field.kind !== 'object').map(field => field.name)
+  ])
+)
+
+const relationFields = new Map(
+  Prisma.dmmf.datamodel.models.map(model => [
+    model.name,
+    model.fields.filter(field => field.kind === 'object').map(field => field.name)
+  ])
+)
+
+// Express middleware: mount after authenticate() so the actor is known
+export function auditContext() {
+  return (req, res, next) => {
+    const header = req.get('x-request-id')
+    const requestId = header && REQUEST_ID_PATTERN.test(header) ? header : randomUUID()
+
+    res.set('X-Request-Id', requestId)
+    requestContext.run({ requestId, actorId: req.user?.id ?? null }, next)
+  }
+}
+
+const delegateName = (model) => `${model.charAt(0).toLowerCase()}${model.slice(1)}`
+
+// The row's own columns only - includes and selects vary per call site
+function pick(model, row) {
+  if (!row) return null
+
+  const fields = {}
+  for (const field of scalarFields.get(model)) {
+    if (field in row) fields[field] = row[field]
+  }
+  return fields
+}
+
+function redact(fields) {
+  if (!fields) return undefined
+
+  const copy = { ...fields }
+  for (const field of REDACTED_FIELDS) {
+    if (field in copy) copy[field] = REDACTED
+  }
+  // Dates and other values become plain JSON
+  return JSON.parse(JSON.stringify(copy))
+}
+
+function diffOf(before, after) {
+  const diff = {}
+
+  for (const field of Object.keys(after)) {
+    if (UNTRACKED_FIELDS.includes(field)) continue
+
+    const from = before?.[field] ?? null
+    const to = after[field] ?? null
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      diff[field] = REDACTED_FIELDS.includes(field)
+        ? { from: REDACTED, to: REDACTED }
+        : { from, to }
+    }
+  }
+
+  return Object.keys(diff).length > 0 ? JSON.parse(JSON.stringify(diff)) : null
+}
+
+// Soft deletes and restores are updates of deletedAt alone; name them for readers
+function updateAction(diff) {
+  const fields = Object.keys(diff || {})
+
+  if (fields.length === 1 && fields[0] === 'deletedAt') {
+    return diff.deletedAt.to ? 'SOFT_DELETE' : 'RESTORE'
+  }
+  return 'UPDATE'
+}
+
+// { categories: { nested: { deleteMany: {}, create: [...] } } } for the relation
+// writes in an update's data, or null
+function nestedWrites(model, data) {
+  const nested = {}
+
+  for (const relation of relationFields.get(model)) {
+    if (data?.[relation] !== undefined) nested[relation] = { nested: data[relation] }
+  }
+
+  return Object.keys(nested).length > 0 ? JSON.parse(JSON.stringify(nested)) : null
+}
+
+// Snapshots must see soft-deleted rows too (a restore's before, a soft delete's
+// after); mentioning deletedAt turns the soft-delete filter off
+function snapshotWhere(model, where) {
+  return scalarFields.get(model).includes('deletedAt') ? { ...where, deletedAt: undefined } : where
+}
+
+function record(db, entry) {
+  const context = requestContext.getStore()
+
+  return db.auditLog.create({
+    data: {
+      ...entry,
+      actorId: context?.actorId ?? null,
+      requestId: context?.requestId ?? null
+    }
+  })
+}
+
+// `write` runs the operation itself on db's connection
+async function auditSingle(db, write, { model, operation, args }) {
+  const delegate = db[delegateName(model)]
+
+  const before = operation === 'create' ? null : pick(model, await delegate.findUnique({ where: snapshotWhere(model, args.where) }))
+  const result = await write()
+
+  let after = null
+  if (operation !== 'delete') {
+    after = pick(model, result)
+
+    // A narrow select leaves columns out; re-read the row to snapshot all of them
+    const id = result?.id ?? before?.id
+    if (id !== undefined && Object.keys(after).length < scalarFields.get(model).length) {
+      after = pick(model, await delegate.findUnique({ where: snapshotWhere(model, { id }) }))
+    }
+  }
+
+  // An upsert that created the row has its nested writes in the create payload
+  const nested = operation === 'update' || (operation === 'upsert' && before)
+    ? nestedWrites(model, operation === 'upsert' ? args.update : args.data)
+    : null
+  const columns = before && after ? diffOf(before, after) : null
+  const diff = columns || nested ? { ...columns, ...nested } : null
+
+  // An upsert that matched nothing created the row
+  let action = operation === 'delete' ? 'DELETE' : 'CREATE'
+  if (operation === 'update' || (operation === 'upsert' && before)) {
+    // Updates that change nothing aren't worth an entry
+    if (!diff) return result
+    action = updateAction(diff)
+  }
+
+  await record(db, {
+    action,
+    model,
+    recordId: String(after?.id ?? before?.id ?? result?.id),
+    before: redact(before),
+    after: redact(after),
+    diff: diff ?? undefined
+  })
+
+  return result
+}
+
+async function auditBatch(db, write, { model, operation, args }) {
+  const result = await write()
+
+  // createMany payloads can be huge (imports, seeding); the count is enough
+  const details = operation === 'createMany'
+    ? { count: result.count }
+    : { count: result.count, where: args.where, ...(args.data && { data: redact(args.data) }) }
+
+  if (result.count > 0) {
+    await record(db, {
+      action: `${operation.replace('Many', '').toUpperCase()}_MANY`,
+      model,
+      after: JSON.parse(JSON.stringify(details))
+    })
+  }
+
+  return result
+}
+
+// Register as the innermost query extension, see extendClient() in src/db.js
+export const auditExtension = Prisma.defineExtension((client) => client.$extends({
+  name: 'audit',
+  query: {
+    $allModels: {
+      async $allOperations(params) {
+        const { model, operation, args, query } = params
+
+        if (IGNORED_MODELS.includes(model)) {
+          return query(args)
+        }
+
+        let audit = null
+        if (SINGLE_OPERATIONS.includes(operation)) audit = auditSingle
+        if (BATCH_OPERATIONS.includes(operation)) audit = auditBatch
+
+        if (!audit) return query(args)
+
+        // Already in a transaction: the query belongs to it, and so do the
+        // snapshots and the entry
+        const transaction = currentTransaction()
+        if (transaction) {
+          return audit(transaction.client, () => query(args), params)
+        }
+
+        // Otherwise run it in a transaction of its own, re-issued on tx. The layers
+        // outside this one see it again there; cache invalidation waits for the commit.
+        return runInTransaction(client, (tx) => audit(tx, () => tx[delegateName(model)][operation](args), params))
+      }
+    }
+  }
+}))
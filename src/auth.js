@@ -0,0 +1,188 @@
+import crypto from 'node:crypto'
+import { promisify } from 'node:util'
+import { authConfig } from '../config/auth.js'
+import { UnauthorizedError } from './errors.js'
+
+// 🔐 Authentication helpers built only on node:crypto, so everything works offline
+
+const scrypt = promisify(crypto.scrypt)
+
+// ==================== Password Hashing ====================
+
+// scrypt parameters are stored alongside the hash so they can be raised later
+// without invalidating existing passwords
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 }
+const SCRYPT_KEYLEN = 64
+
+// Stored format: scrypt$N$r$p$<salt>$<hash> (salt and hash are base64url)
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16)
+  const { N, r, p } = SCRYPT_PARAMS
+  const hash = await scrypt(password, salt, SCRYPT_KEYLEN, { N, r, p })
+
+  return ['scrypt', N, r, p, salt.toString('base64url'), hash.toString('base64url')].join('$')
+}
+
+export async function verifyPassword(password, stored) {
+  const [algorithm, N, r, p, salt, hash] = (stored || '').split('$')
+
+  if (algorithm !== 'scrypt' || !salt || !hash) return false
+
+  const expected = Buffer.from(hash, 'base64url')
+  const actual = await scrypt(password, Buffer.from(salt, 'base64url'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  })
+
+  // Constant-time comparison avoids leaking how many bytes matched
+  return crypto.timingSafeEqual(expected, actual)
+}
+
+// Hash of a random password, used to spend the same time on unknown emails as on
+// wrong passwords so login timing doesn't reveal which accounts exist
+const dummyHashPromise = hashPassword(crypto.randomBytes(16).toString('hex'))
+
+export async function verifyAgainstDummy(password) {
+  await verifyPassword(password, await dummyHashPromise)
+  return false
+}
+
+// ==================== Signed Tokens ====================
+
+// Compact JWT (HS256) so tokens can be inspected with standard tooling
+function base64urlJson(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url')
+}
+
+function sign(payload, secret) {
+  const body = `${base64urlJson({ alg: 'HS256', typ: 'JWT' })}.${base64urlJson(payload)}`
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('base64url')
+  return `${body}.${signature}`
+}
+
+// Returns the payload, or null when the signature, type or expiry is invalid
+function verify(token, secret, type) {
+  const parts = (token || '').split('.')
+  if (parts.length !== 3) return null
+
+  const [header, payload, signature] = parts
+  const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest()
+  const actual = Buffer.from(signature, 'base64url')
+
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null
+  }
+
+  let claims
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'))
+  } catch {
+    return null
+  }
+
+  if (claims.type !== type) return null
+  if (claims.exp <= Math.floor(Date.now() / 1000)) return null
+
+  return claims
+}
+
+export function signAccessToken(user) {
+  const now = Math.floor(Date.now() / 1000)
+
+  return sign({
+    sub: user.id,
+    role: user.role,
+    type: 'access',
+    iat: now,
+    exp: now + authConfig.accessTokenTtl
+  }, authConfig.accessTokenSecret)
+}
+
+// Refresh tokens carry a jti that is persisted in refresh_tokens, which is what lets
+// logout and rotation revoke them
+export function signRefreshToken(user, jti) {
+  const now = Math.floor(Date.now() / 1000)
+
+  return sign({
+    sub: user.id,
+    jti,
+    type: 'refresh',
+    iat: now,
+    exp: now + authConfig.refreshTokenTtl
+  }, authConfig.refreshTokenSecret)
+}
+
+export function verifyAccessToken(token) {
+  return verify(token, authConfig.accessTokenSecret, 'access')
+}
+
+export function verifyRefreshToken(token) {
+  return verify(token, authConfig.refreshTokenSecret, 'refresh')
+}
+
+// Creates a refresh token row and returns a fresh access/refresh pair
+export async function issueTokens(prisma, user) {
+  const jti = crypto.randomUUID()
+
+  await prisma.refreshToken.create({
+    data: {
+      id: jti,
+      userId: user.id,
+      expiresAt: new Date(Date.now() + authConfig.refreshTokenTtl * 1000)
+    }
+  })
+
+  return {
+    accessToken: signAccessToken(user),
+    refreshToken: signRefreshToken(user, jti),
+    tokenType: 'Bearer',
+    expiresIn: authConfig.accessTokenTtl
+  }
+}
+
+// ==================== Middleware ====================
+
+// Attaches the current user to req.user when a valid Bearer token is sent.
+// Requests without an Authorization header continue anonymously; a bad token,
+// or a token for a deactivated user, is rejected with 401.
+export function authenticate(prisma) {
+  return async (req, res, next) => {
+    const header = req.get('authorization')
+
+    if (!header) {
+      req.user = null
+      return next()
+    }
+
+    const [scheme, token] = header.split(' ')
+    const claims = scheme === 'Bearer' ? verifyAccessToken(token) : null
+
+    if (!claims) {
+      return next(new UnauthorizedError('Invalid or expired access token'))
+    }
+
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: claims.sub },
+        select: { id: true, email: true, name: true, role: true, isActive: true }
+      })
+
+      if (!user || !user.isActive) {
+        return next(new UnauthorizedError('Account is not active'))
+      }
+
+      req.user = user
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+}
+
+export function requireAuth(req, res, next) {
+  if (!req.user) {
+    return next(new UnauthorizedError())
+  }
+  next()
+}
@@ -0,0 +1,152 @@
+import { randomBytes } from 'node:crypto'
+import { Prisma } from '@prisma/client'
+import { currentTransaction } from './transactionScope.js'
+
+// ⏱️ Cache for expensive read-only results
+//
+// createCache() keeps entries in a pluggable store - an in-memory LRU by default -
+// and expires them `ttl` ms after they were stored. wrap() also shares a pending
+// computation, so a burst of identical requests on a cold cache runs the query once.
+//
+// Entries are tagged with the Prisma models they were read from. invalidate('Post')
+// replaces the model's generation, which is part of every key tagged with it, so
+// stale entries are never read again and simply age out of the store. The
+// cacheInvalidation() extension below does this for every write made through Prisma.
+//
+// Generations live in the store next to the entries, so with a shared store an
+// invalidation on one instance reaches all of them. They're random tokens rather than
+// counters: replacing one needs no read-modify-write, and a generation the store
+// evicted gets a fresh token instead of falling back to one old entries were built on.
+
+// A store is any object with get(key), set(key, entry), delete(key) and clear(),
+// sync or async - e.g. a thin wrapper around a shared Redis client. Entries are
+// plain JSON data, as long as the cached values are.
+// This one evicts the least recently used entry once `maxEntries` is reached.
+export function createMemoryStore({ maxEntries = 1000 } = {}) {
+  const entries = new Map()
+
+  return {
+    get(key) {
+      const entry = entries.get(key)
+
+      // Map keeps insertion order: re-inserting marks the entry as most recent
+      if (entry !== undefined) {
+        entries.delete(key)
+        entries.set(key, entry)
+      }
+
+      return entry
+    },
+
+    set(key, entry) {
+      entries.delete(key)
+
+      if (entries.size >= maxEntries) {
+        entries.delete(entries.keys().next().value)
+      }
+
+      entries.set(key, entry)
+    },
+
+    delete: (key) => entries.delete(key),
+    clear: () => entries.clear()
+  }
+}
+
+const newGeneration = () => randomBytes(8).toString('base64url')
+const generationKey = (tag) => `generation:${tag}`
+
+export function createCache({ ttl, store = createMemoryStore() }) {
+  const pending = new Map()
+
+  async function generation(tag) {
+    const entry = await store.get(generationKey(tag))
+    if (entry) return entry.value
+
+    const value = newGeneration()
+    await store.set(generationKey(tag), { value })
+    return value
+  }
+
+  // 'user:1' tagged User and Post → 'user:1|User:Xq3…|Post:9Fv…'
+  async function versionedKey(key, tags) {
+    const generations = await Promise.all(tags.map(generation))
+    return [key, ...tags.map((tag, index) => `${tag}:${generations[index]}`)].join('|')
+  }
+
+  async function read(key) {
+    const entry = await store.get(key)
+
+    if (!entry) return undefined
+
+    if (entry.expiresAt <= Date.now()) {
+      await store.delete(key)
+      return undefined
+    }
+
+    return entry.value
+  }
+
+  // Resolves to { value, hit } - hit is false when compute() ran for this call.
+  // `ttl` overrides the cache's default for this entry.
+  async function wrap(key, compute, { tags = [], ttl: entryTtl = ttl } = {}) {
+    const fullKey = await versionedKey(key, tags)
+
+    const cached = await read(fullKey)
+    if (cached !== undefined) return { value: cached, hit: true }
+
+    if (!pending.has(fullKey)) {
+      pending.set(fullKey, Promise.resolve()
+        .then(compute)
+        .then(async value => {
+          await store.set(fullKey, { value, expiresAt: Date.now() + entryTtl })
+          return value
+        })
+        .finally(() => pending.delete(fullKey)))
+    }
+
+    return { value: await pending.get(fullKey), hit: false }
+  }
+
+  async function invalidate(...tags) {
+    await Promise.all(tags.map(tag => store.set(generationKey(tag), { value: newGeneration() })))
+  }
+
+  return {
+    wrap,
+    invalidate,
+    clear: () => store.clear()
+  }
+}
+
+const WRITE_OPERATIONS = ['create', 'createMany', 'update', 'updateMany', 'upsert', 'delete', 'deleteMany']
+
+// Invalidates a model's entries once a write to it is visible to other readers:
+// right away for a standalone write, after the commit for writes inside
+// $transaction (a rolled-back transaction invalidates nothing). Invalidating before
+// the commit would let a concurrent read cache the old rows again. Transactions are
+// told apart by transactionScope(), which must be registered after this extension.
+// Raw SQL writes ($executeRaw, e.g. buffered view counts) aren't seen at all.
+export function cacheInvalidation(cache) {
+  return Prisma.defineExtension({
+    name: 'cacheInvalidation',
+    query: {
+      $allModels: {
+        async $allOperations({ model, operation, args, query }) {
+          const result = await query(args)
+
+          if (WRITE_OPERATIONS.includes(operation)) {
+            const transaction = currentTransaction()
+            if (transaction) {
+              transaction.afterCommit(() => cache.invalidate(model))
+            } else {
+              await cache.invalidate(model)
+            }
+          }
+
+          return result
+        }
+      }
+    }
+  })
+}
@@ -0,0 +1,95 @@
+// 🧾 Minimal RFC 4180 CSV writing and streaming parsing
+//
+// Fields containing commas, quotes, line breaks or edge whitespace are quoted, with
+// quotes doubled. The parser is a character state machine fed chunk by chunk, so
+// quoted fields may span lines and chunk boundaries.
+//
+// Spreadsheets run a cell starting with = + - @ tab or CR as a formula, so such text
+// is written with a leading ' (shown as plain text), and the parser drops it again.
+// Text already starting with ' gets one more, so every value reads back unchanged.
+
+const NEEDS_QUOTES = /[",\r\n]|^\s|\s$/
+const NEEDS_GUARD = /^[=+\-@\t\r']/
+const GUARDED = /^'[=+\-@\t\r']/
+
+function formatField(value) {
+  if (value === null || value === undefined) return ''
+
+  let text = value instanceof Date ? value.toISOString() : String(value)
+  if (typeof value === 'string' && NEEDS_GUARD.test(text)) text = `'${text}`
+
+  return NEEDS_QUOTES.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const unguard = (field) => (GUARDED.test(field) ? field.slice(1) : field)
+
+export function formatCsvRow(values) {
+  return `${values.map(formatField).join(',')}\r\n`
+}
+
+// Yields one array of strings per CSV record from an iterable of text chunks
+export async function* parseCsv(chunks) {
+  let field = ''
+  let record = []
+  let inQuotes = false
+  // A quote inside a quoted field either closes it or starts an escaped ""
+  let pendingQuote = false
+  let sawAnything = false
+  let first = true
+  // Buffers can split a multi-byte character; the decoder carries it over
+  const decoder = new TextDecoder('utf-8')
+
+  for await (const chunk of chunks) {
+    let text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true })
+
+    // Spreadsheet exports often start with a byte order mark
+    if (first && text.length > 0) {
+      first = false
+      if (text.charCodeAt(0) === 0xfeff) text = text.slice(1)
+    }
+
+    for (const char of text) {
+      sawAnything = true
+
+      if (pendingQuote) {
+        pendingQuote = false
+        if (char === '"') {
+          field += '"'
+          continue
+        }
+        inQuotes = false
+      }
+
+      if (inQuotes) {
+        if (char === '"') pendingQuote = true
+        else field += char
+        continue
+      }
+
+      if (char === '"' && field === '') {
+        inQuotes = true
+      } else if (char === ',') {
+        record.push(field)
+        field = ''
+      } else if (char === '\n') {
+        record.push(field.endsWith('\r') ? field.slice(0, -1) : field)
+        yield record.map(unguard)
+        field = ''
+        record = []
+        sawAnything = false
+      } else {
+        field += char
+      }
+    }
+  }
+
+  if (inQuotes && !pendingQuote) {
+    throw new Error('Unterminated quoted field at end of CSV input')
+  }
+
+  // Last record without a trailing newline
+  if (sawAnything) {
+    record.push(field.endsWith('\r') ? field.slice(0, -1) : field)
+    yield record.map(unguard)
+  }
+}
@@ -0,0 +1,393 @@
+import { createInterface } from 'node:readline'
+import { formatCsvRow, parseCsv } from './csv.js'
+import { BadRequestError, NotFoundError } from './errors.js'
+import { problemFromError } from './errorHandler.js'
+import { importRows } from './schemas.js'
+import { validateObject } from './validation.js'
+
+// 📦 Bulk export and import of users, posts and comments as CSV or NDJSON
+//
+// Exports stream: records are read in id order, BATCH_SIZE at a time, and written as
+// they arrive. Rows are flat and reference other records by natural key instead of
+// id, so a file can move between databases:
+//   users    - by email, profile fields inlined
+//   posts    - by author email + title, categories as names
+//   comments - by post (author email + title), author email and createdAt; replies
+//              name their parent the same way, and replies below a deleted comment
+//              are left out since their parent isn't exported
+// Imports upsert by those keys row by row. Invalid rows are reported with their row
+// number and skipped; the rest are still written.
+
+const BATCH_SIZE = 500
+
+// Lists (post categories) are joined with | in CSV cells; a | or \ inside an item
+// is escaped with a backslash
+function joinList(items) {
+  return items.map(item => String(item).replace(/[\\|]/g, '\\$&')).join('|')
+}
+
+function splitList(cell) {
+  const items = ['']
+
+  for (let i = 0; i < cell.length; i++) {
+    if (cell[i] === '\\' && i + 1 < cell.length) {
+      items[items.length - 1] += cell[++i]
+    } else if (cell[i] === '|') {
+      items.push('')
+    } else {
+      items[items.length - 1] += cell[i]
+    }
+  }
+
+  return items.map(item => item.trim()).filter(Boolean)
+}
+
+export const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+}
+
+// Dry runs write nothing, so later rows can't find records created by earlier ones.
+// Those are remembered by natural key instead, with PLANNED standing in for the id.
+const PLANNED = Symbol('planned')
+
+const userKey = (email) => `user:${email}`
+const postKey = (authorEmail, title) => `post:${authorEmail}\n${title}`
+const commentKey = (post, authorEmail, createdAt) => `comment:${post}\n${authorEmail}\n${createdAt.toISOString()}`
+
+async function resolveId(context, key, lookup) {
+  const found = await lookup()
+  if (found) return found.id
+  return context.planned.has(key) ? PLANNED : null
+}
+
+async function resolveUser(prisma, context, email, role) {
+  const id = await resolveId(context, userKey(email), () =>
+    prisma.user.findUnique({ where: { email }, select: { id: true } }))
+
+  if (!id) throw new NotFoundError(`${role} ${email} not found`)
+  return id
+}
+
+async function resolvePost(prisma, context, authorEmail, title) {
+  const authorId = await resolveUser(prisma, context, authorEmail, 'Post author')
+
+  // Titles aren't unique per author; the oldest post wins
+  const id = await resolveId(context, postKey(authorEmail, title), async () =>
+    authorId === PLANNED
+      ? null
+      : prisma.post.findFirst({ where: { authorId, title }, select: { id: true }, orderBy: { id: 'asc' } }))
+
+  if (!id) throw new NotFoundError(`Post "${title}" by ${authorEmail} not found`)
+  return id
+}
+
+const RESOURCES = {
+  users: {
+    delegate: 'user',
+    columns: ['email', 'name', 'age', 'role', 'isActive', 'createdAt', 'bio', 'avatar', 'website', 'location'],
+    listColumns: [],
+    include: { profile: true },
+
+    toRow: (user) => ({
+      email: user.email,
+      name: user.name,
+      age: user.age,
+      role: user.role,
+      isActive: user.isActive,
+      createdAt: user.createdAt,
+      bio: user.profile?.bio ?? null,
+      avatar: user.profile?.avatar ?? null,
+      website: user.profile?.website ?? null,
+      location: user.profile?.location ?? null
+    }),
+
+    async upsert(prisma, context, { email, bio, avatar, website, location, ...user }) {
+      const key = userKey(email)
+      const existing = await resolveId(context, key, () =>
+        prisma.user.findUnique({ where: { email }, select: { id: true } }))
+
+      if (context.dryRun) {
+        context.planned.add(key)
+        return existing ? 'updated' : 'created'
+      }
+
+      const profile = { bio, avatar, website, location }
+      const hasProfile = Object.values(profile).some(value => value !== undefined)
+
+      if (existing) {
+        await prisma.user.update({
+          where: { id: existing },
+          data: { ...user, ...(hasProfile && { profile: { upsert: { create: profile, update: profile } } }) }
+        })
+        return 'updated'
+      }
+
+      await prisma.user.create({
+        data: { email, ...user, ...(hasProfile && { profile: { create: profile } }) }
+      })
+      return 'created'
+    }
+  },
+
+  posts: {
+    delegate: 'post',
+    columns: ['authorEmail', 'title', 'content', 'published', 'views', 'createdAt', 'categories'],
+    listColumns: ['categories'],
+    include: {
+      author: { select: { email: true } },
+      categories: { include: { category: { select: { name: true } } } }
+    },
+
+    toRow: (post) => ({
+      authorEmail: post.author.email,
+      title: post.title,
+      content: post.content,
+      published: post.published,
+      views: post.views,
+      createdAt: post.createdAt,
+      categories: post.categories.map(link => link.category.name)
+    }),
+
+    async upsert(prisma, context, { authorEmail, title, categories, ...post }) {
+      const authorId = await resolveUser(prisma, context, authorEmail, 'Author')
+      const key = postKey(authorEmail, title)
+      const existing = await resolveId(context, key, async () =>
+        authorId === PLANNED
+          ? null
+          : prisma.post.findFirst({ where: { authorId, title }, select: { id: true }, orderBy: { id: 'asc' } }))
+
+      if (context.dryRun) {
+        context.planned.add(key)
+        return existing ? 'updated' : 'created'
+      }
+
+      // Unknown category names are created on the fly
+      const links = categories && {
+        create: [...new Set(categories)].map(name => ({
+          category: { connectOrCreate: { where: { name }, create: { name } } }
+        }))
+      }
+
+      if (existing) {
+        await prisma.post.update({
+          where: { id: existing },
+          data: { ...post, ...(links && { categories: { deleteMany: {}, ...links } }) }
+        })
+        return 'updated'
+      }
+
+      await prisma.post.create({
+        data: { ...post, title, authorId, ...(links && { categories: links }) }
+      })
+      return 'created'
+    }
+  },
+
+  comments: {
+    delegate: 'comment',
+    columns: ['postAuthorEmail', 'postTitle', 'authorEmail', 'createdAt', 'content', 'parentAuthorEmail', 'parentCreatedAt'],
+    listColumns: [],
+    include: {
+      author: { select: { email: true } },
+      post: { select: { title: true, author: { select: { email: true } } } },
+      parent: { select: { createdAt: true, deletedAt: true, author: { select: { email: true } } } }
+    },
+
+    // The to-one parent include isn't filtered, so a reply restored on its own still
+    // sees its deleted parent. Parents have lower ids than their replies, so `skipped`
+    // already holds every left-out ancestor when a reply comes up.
+    skip: (comment, skipped) => Boolean(comment.parent?.deletedAt) || skipped.has(comment.parentId),
+
+    toRow: (comment) => ({
+      postAuthorEmail: comment.post.author.email,
+      postTitle: comment.post.title,
+      authorEmail: comment.author.email,
+      createdAt: comment.createdAt,
+      content: comment.content,
+      parentAuthorEmail: comment.parent?.author.email ?? null,
+      parentCreatedAt: comment.parent?.createdAt ?? null
+    }),
+
+    async upsert(prisma, context, row) {
+      const { postAuthorEmail, postTitle, authorEmail, createdAt, content, parentAuthorEmail, parentCreatedAt } = row
+
+      if (Boolean(parentAuthorEmail) !== Boolean(parentCreatedAt)) {
+        throw new BadRequestError('parentAuthorEmail and parentCreatedAt must be given together')
+      }
+
+      const post = postKey(postAuthorEmail, postTitle)
+      const postId = await resolvePost(prisma, context, postAuthorEmail, postTitle)
+      const authorId = await resolveUser(prisma, context, authorEmail, 'Author')
+
+      // Comments have no natural key of their own; author + timestamp on a post is
+      // as close as it gets, and exports keep createdAt exact
+      const findComment = (byAuthorId, at) => postId === PLANNED || byAuthorId === PLANNED
+        ? null
+        : prisma.comment.findFirst({ where: { postId, authorId: byAuthorId, createdAt: at }, select: { id: true } })
+
+      let parentId
+      if (parentAuthorEmail) {
+        const parentAuthorId = await resolveUser(prisma, context, parentAuthorEmail, 'Parent comment author')
+        parentId = await resolveId(context, commentKey(post, parentAuthorEmail, parentCreatedAt), () =>
+          findComment(parentAuthorId, parentCreatedAt))
+
+        if (!parentId) throw new NotFoundError('Parent comment not found on this post')
+      }
+
+      const key = commentKey(post, authorEmail, createdAt)
+      const existing = await resolveId(context, key, () => findComment(authorId, createdAt))
+
+      if (context.dryRun) {
+        context.planned.add(key)
+        return existing ? 'updated' : 'created'
+      }
+
+      if (existing) {
+        await prisma.comment.update({
+          where: { id: existing },
+          data: { content, parentId: parentId ?? null }
+        })
+        return 'updated'
+      }
+
+      await prisma.comment.create({
+        data: { content, createdAt, postId, authorId, parentId }
+      })
+      return 'created'
+    }
+  }
+}
+
+export const TRANSFER_RESOURCES = Object.keys(RESOURCES)
+
+async function* exportRecords(prisma, resource) {
+  const { delegate, include, skip, toRow } = RESOURCES[resource]
+  const skipped = new Set()
+  let lastId = 0
+
+  // Keyset batches keep memory flat however large the table is
+  while (true) {
+    const batch = await prisma[delegate].findMany({
+      where: { id: { gt: lastId } },
+      include,
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE
+    })
+
+    for (const record of batch) {
+      if (skip?.(record, skipped)) {
+        skipped.add(record.id)
+        continue
+      }
+
+      yield toRow(record)
+    }
+
+    if (batch.length < BATCH_SIZE) return
+    lastId = batch[batch.length - 1].id
+  }
+}
+
+// Yields the export as text chunks (one per row), ready for Readable.from()
+export async function* exportLines(prisma, resource, format) {
+  const { columns } = RESOURCES[resource]
+
+  if (format === 'csv') {
+    yield formatCsvRow(columns)
+  }
+
+  for await (const row of exportRecords(prisma, resource)) {
+    yield format === 'csv'
+      ? formatCsvRow(columns.map(column => (Array.isArray(row[column]) ? joinList(row[column]) : row[column])))
+      : `${JSON.stringify(row)}\n`
+  }
+}
+
+// Yields { row, data } per record of a byte stream, or { row, errors } for a line
+// that can't be parsed. Row numbers are 1-based and don't count the CSV header.
+export async function* readRows(input, resource, format) {
+  let row = 0
+
+  if (format === 'ndjson') {
+    for await (const line of createInterface({ input, crlfDelay: Infinity })) {
+      if (line.trim() === '') continue
+      row++
+
+      let data
+      try {
+        data = JSON.parse(line)
+      } catch {
+        yield { row, errors: [{ message: 'Invalid JSON' }] }
+        continue
+      }
+
+      yield data !== null && typeof data === 'object' && !Array.isArray(data)
+        ? { row, data }
+        : { row, errors: [{ message: 'Each line must be a JSON object' }] }
+    }
+    return
+  }
+
+  let header
+  for await (const fields of parseCsv(input)) {
+    if (!header) {
+      header = fields.map(name => name.trim())
+      continue
+    }
+
+    if (fields.length === 1 && fields[0] === '') continue
+    row++
+
+    const data = {}
+    header.forEach((name, index) => {
+      data[name] = fields[index]
+    })
+
+    for (const column of RESOURCES[resource].listColumns) {
+      if (typeof data[column] === 'string') {
+        data[column] = splitList(data[column])
+      }
+    }
+
+    yield { row, data }
+  }
+}
+
+// Validates and upserts rows one at a time. Failed rows are counted and the first
+// `maxErrors` are reported as { row, errors: [{ field?, message }] }.
+export async function importRecords(prisma, resource, rows, { dryRun = false, maxErrors = 100 } = {}) {
+  const { upsert } = RESOURCES[resource]
+  const context = { dryRun, planned: new Set() }
+  const report = { resource, dryRun, processed: 0, created: 0, updated: 0, failed: 0, errors: [] }
+
+  for await (const { row, data, errors: readErrors } of rows) {
+    report.processed++
+
+    let errors = readErrors || []
+    if (errors.length === 0) {
+      const result = validateObject(importRows[resource], data)
+      errors = result.errors
+
+      if (errors.length === 0) {
+        try {
+          report[await upsert(prisma, context, result.value)]++
+          continue
+        } catch (error) {
+          const problem = problemFromError(error)
+          // The database being down isn't a problem with this row
+          if (problem.status >= 500) throw error
+          errors = [{ message: problem.detail }]
+        }
+      }
+    }
+
+    report.failed++
+    if (report.errors.length < maxErrors) {
+      report.errors.push({ row, errors })
+    }
+  }
+
+  report.errorsTruncated = report.failed > report.errors.length
+  return report
+}
@@ -0,0 +1,26 @@
+import { PrismaClient } from '@prisma/client'
+import { auditExtension } from './audit.js'
+import { cacheInvalidation } from './cache.js'
+import { softDeleteExtension } from './softDelete.js'
+import { transactionScope } from './transactionScope.js'
+
+// Adds the extensions every write and read relies on: cache invalidation when a
+// `cache` is given (src/cache.js), soft-delete filtering (src/softDelete.js) and the
+// audit trail (src/audit.js). Query hooks run in registration order, outermost first:
+// audit has to be innermost so the write it runs in its own transaction still goes
+// through the others, and transactionScope has to come last so transaction clients
+// keep every hook. createApp() calls this itself, so it takes a plain PrismaClient.
+export function extendClient(client, { cache } = {}) {
+  const cached = cache ? client.$extends(cacheInvalidation(cache)) : client
+
+  return cached
+    .$extends(softDeleteExtension)
+    .$extends(auditExtension)
+    .$extends(transactionScope)
+}
+
+// A client for scripts that use the database outside the app (import, export).
+// Options go to the PrismaClient constructor, e.g. { datasourceUrl }.
+export function createPrismaClient(options = {}) {
+  return extendClient(new PrismaClient(options))
+}
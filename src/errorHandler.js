@@ -0,0 +1,130 @@
+import { Prisma } from '@prisma/client'
+import { HttpError, NotFoundError, statusTitle } from './errors.js'
+
+// 🚨 Central error translation into RFC 7807 problem details
+//
+// Every route throws (or forwards) errors here instead of hand-checking Prisma
+// codes. Prisma's own message can contain query fragments and schema details, so it
+// is only echoed back under `debug` when exposeDetails is on (development).
+
+const PRISMA_DOCS = 'https://www.prisma.io/docs/orm/reference/error-reference'
+
+const modelName = (meta) => meta?.modelName || 'Record'
+const targetFields = (meta) => [].concat(meta?.target || []).join(', ')
+
+// Prisma error code → status and a client-safe detail message
+const PRISMA_ERRORS = {
+  // Connection / engine errors (P1xxx) - the database, not the request, is at fault
+  P1000: { status: 503, detail: () => 'Database authentication failed' },
+  P1001: { status: 503, detail: () => 'Database server is unreachable' },
+  P1002: { status: 503, detail: () => 'Database server timed out' },
+  P1008: { status: 503, detail: () => 'Database operation timed out' },
+  P1017: { status: 503, detail: () => 'Database server closed the connection' },
+  P2024: { status: 503, detail: () => 'Timed out waiting for a database connection' },
+
+  // Query errors (P2xxx) caused by the data sent
+  P2000: { status: 400, detail: (meta) => `Value is too long for ${meta?.column_name || 'a column'}` },
+  P2002: { status: 409, detail: (meta) => `${modelName(meta)} with this ${targetFields(meta)} already exists` },
+  P2003: { status: 409, detail: (meta) => `Related record referenced by ${meta?.field_name || 'a foreign key'} does not exist or is still in use` },
+  P2011: { status: 400, detail: (meta) => `${targetFields(meta) || 'A required field'} must not be null` },
+  P2014: { status: 409, detail: () => 'Change would violate a required relation' },
+  P2025: { status: 404, detail: (meta) => `${modelName(meta)} not found` },
+  P2034: { status: 409, detail: () => 'Transaction failed due to a write conflict or deadlock, please retry' }
+}
+
+// Also used on its own for per-row messages in bulk imports
+export function problemFromError(err) {
+  if (err instanceof HttpError) {
+    return {
+      status: err.status,
+      title: err.title,
+      detail: err.message,
+      extensions: err.extensions
+    }
+  }
+
+  // Known request errors carry `code`; initialization errors carry `errorCode`
+  const code = err.code || err.errorCode
+  const known = PRISMA_ERRORS[code]
+
+  if (known && (err instanceof Prisma.PrismaClientKnownRequestError ||
+      err instanceof Prisma.PrismaClientInitializationError)) {
+    return {
+      status: known.status,
+      title: statusTitle(known.status),
+      detail: known.detail(err.meta),
+      type: `${PRISMA_DOCS}#${code.toLowerCase()}`,
+      extensions: { code }
+    }
+  }
+
+  if (err instanceof Prisma.PrismaClientInitializationError) {
+    return { status: 503, title: statusTitle(503), detail: 'Database is not available' }
+  }
+
+  if (err instanceof Prisma.PrismaClientValidationError) {
+    // The query Prisma received was malformed - usually input that slipped past
+    // request validation
+    return { status: 400, title: statusTitle(400), detail: 'Invalid data for this operation' }
+  }
+
+  // Errors from body-parser (malformed JSON, payload too large) carry a 4xx status
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return {
+      status: err.status,
+      title: statusTitle(err.status),
+      detail: err.type === 'entity.parse.failed' ? 'Malformed JSON body' : err.message
+    }
+  }
+
+  // Anything else, including unknown Prisma errors and engine panics
+  return { status: 500, title: statusTitle(500), detail: 'An unexpected error occurred' }
+}
+
+export function sendProblem(res, req, problem) {
+  const body = {
+    type: problem.type || 'about:blank',
+    title: problem.title,
+    status: problem.status,
+    detail: problem.detail,
+    instance: req.originalUrl,
+    ...problem.extensions
+  }
+
+  // res.json keeps an explicitly set Content-Type
+  res.status(problem.status).type('application/problem+json').json(body)
+}
+
+// Final Express error middleware
+export function errorHandler({ exposeDetails = process.env.NODE_ENV === 'development' } = {}) {
+  return (err, req, res, next) => {
+    if (res.headersSent) {
+      return next(err)
+    }
+
+    const problem = problemFromError(err)
+
+    if (problem.status >= 500) {
+      console.error('Unhandled error:', err)
+    }
+
+    if (exposeDetails) {
+      problem.extensions = {
+        ...problem.extensions,
+        debug: {
+          name: err.name,
+          message: err.message,
+          meta: err.meta,
+          stack: err.stack?.split('\n')
+        }
+      }
+    }
+
+    sendProblem(res, req, problem)
+  }
+}
+
+// 404 for unmatched routes, in the same problem format
+export function notFoundHandler(req, res, next) {
+  next(new NotFoundError(`Route ${req.method} ${req.originalUrl} not found`))
+}
@@ -0,0 +1,80 @@
+// ⚠️ HTTP error classes
+//
+// Throw these from handlers and middleware; the central error handler turns them
+// into RFC 7807 application/problem+json responses. This module has no
+// dependencies so policies and validation can use it without Express or Prisma.
+
+const STATUS_TITLES = {
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  409: 'Conflict',
+  413: 'Payload Too Large',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+  503: 'Service Unavailable'
+}
+
+export function statusTitle(status) {
+  return STATUS_TITLES[status] || 'Error'
+}
+
+export class HttpError extends Error {
+  // `extensions` are extra problem members, e.g. { errors: [...] } or { action }
+  constructor(status, detail, extensions = {}) {
+    super(detail || STATUS_TITLES[status])
+    this.name = this.constructor.name
+    this.status = status
+    this.title = statusTitle(status)
+    this.extensions = extensions
+  }
+}
+
+export class BadRequestError extends HttpError {
+  constructor(detail, extensions) {
+    super(400, detail, extensions)
+  }
+}
+
+export class ValidationError extends HttpError {
+  // errors: [{ field, message }]
+  constructor(errors) {
+    super(400, 'Request validation failed', { errors })
+  }
+}
+
+export class UnauthorizedError extends HttpError {
+  constructor(detail = 'Authentication required', extensions) {
+    super(401, detail, extensions)
+  }
+}
+
+export class ForbiddenError extends HttpError {
+  constructor(detail, extensions) {
+    super(403, detail, extensions)
+  }
+}
+
+export class NotFoundError extends HttpError {
+  constructor(detail = 'Resource not found', extensions) {
+    super(404, detail, extensions)
+  }
+}
+
+export class ConflictError extends HttpError {
+  constructor(detail, extensions) {
+    super(409, detail, extensions)
+  }
+}
+
+export class TooManyRequestsError extends HttpError {
+  constructor(detail = 'Rate limit exceeded', extensions) {
+    super(429, detail, extensions)
+  }
+}
+
+// Express 4 doesn't catch rejected promises; forward them to the error handler
+export function asyncHandler(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next)
+}
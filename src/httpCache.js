@@ -0,0 +1,25 @@
+// 🏷️ Validators for cached GET responses
+//
+// The app sends strong ETags (app.set('etag', 'strong')): Express hashes the exact
+// body and answers a matching If-None-Match with 304, so a client revalidating an
+// unchanged record gets no body back. Bodies depend on who asks (DTOs hide internal
+// fields from non-admins), so responses are private and vary by Authorization.
+//
+// Last-Modified is only sent where one timestamp covers the whole body (a report's
+// generatedAt). Detail responses combine rows whose changes don't all bump an
+// updatedAt - category links, comment counts, category names - so a bare
+// If-Modified-Since could be answered 304 with a stale body; they rely on the ETag.
+
+// X-Cache, the caching policy and, when given, Last-Modified for a cached read.
+// lastModified is an ISO string or timestamp: cached values may have been through JSON.
+export function setCacheHeaders(res, { hit, lastModified }) {
+  res.set({
+    'X-Cache': hit ? 'HIT' : 'MISS',
+    'Cache-Control': 'private, no-cache'
+  })
+  res.vary('Authorization')
+
+  if (lastModified) {
+    res.set('Last-Modified', new Date(lastModified).toUTCString())
+  }
+}
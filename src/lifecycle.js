@@ -0,0 +1,44 @@
+// 🩺 Readiness state and graceful shutdown
+//
+// On SIGINT/SIGTERM src/index.js marks the app as draining, so /readyz fails and
+// load balancers stop sending traffic, then closes the HTTP server: no new
+// connections are accepted and in-flight requests get `timeoutMs` to finish before
+// the remaining sockets are cut. Only after that are view counts flushed and Prisma
+// disconnected.
+
+const IDLE_SWEEP_MS = 100
+
+export function createLifecycle() {
+  let draining = false
+
+  return {
+    isDraining: () => draining,
+    drain: () => {
+      draining = true
+    }
+  }
+}
+
+// Stops accepting connections and waits for open ones. Resolves to true when every
+// request finished in time, false when the timeout closed what was left.
+export function closeServer(server, { timeoutMs }) {
+  return new Promise((resolve) => {
+    // Keep-alive sockets would hold close() open once their request is answered, so
+    // idle ones are closed as they appear
+    const sweep = setInterval(() => server.closeIdleConnections(), IDLE_SWEEP_MS)
+
+    const timer = setTimeout(() => {
+      clearInterval(sweep)
+      server.closeAllConnections()
+      resolve(false)
+    }, timeoutMs)
+
+    server.close(() => {
+      clearInterval(sweep)
+      clearTimeout(timer)
+      resolve(true)
+    })
+
+    server.closeIdleConnections()
+  })
+}
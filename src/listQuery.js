@@ -0,0 +1,140 @@
+import { BadRequestError } from './errors.js'
+import { t } from './validation.js'
+
+// 🧮 Filter and sort query language shared by the list endpoints
+//
+//   ?filter[age][gte]=30&filter[role][in]=ADMIN,MODERATOR&sort=-createdAt,name
+//
+// Each endpoint declares its filterable fields as validation rules (see
+// src/schemas.js); filterQuery() expands them into per-operator rules, so values are
+// coerced and unknown fields or operators are rejected by validate() like any other
+// parameter. The validated result is turned into Prisma where/orderBy here.
+
+// Operators offered per field type; nullable fields also get [null]=true|false
+const OPERATORS = {
+  int: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin'],
+  date: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte'],
+  string: ['eq', 'ne', 'contains', 'startsWith', 'endsWith', 'in', 'nin'],
+  enum: ['eq', 'ne', 'in', 'nin'],
+  boolean: ['eq', 'ne']
+}
+
+const PRISMA_OPERATORS = {
+  eq: 'equals',
+  ne: 'not',
+  gt: 'gt',
+  gte: 'gte',
+  lt: 'lt',
+  lte: 'lte',
+  in: 'in',
+  nin: 'notIn',
+  contains: 'contains',
+  startsWith: 'startsWith',
+  endsWith: 'endsWith'
+}
+
+// Substring matches ignore case; eq and in stay exact
+const CASE_INSENSITIVE = ['contains', 'startsWith', 'endsWith']
+
+const MAX_IN_VALUES = 100
+const MAX_SORT_KEYS = 5
+
+function operatorRules(rule) {
+  const operators = {}
+
+  for (const operator of OPERATORS[rule.type]) {
+    operators[operator] = operator === 'in' || operator === 'nin'
+      ? t.array({ ...rule, required: true, nullable: false }, { maxItems: MAX_IN_VALUES })
+      : { ...rule, nullable: false }
+  }
+
+  if (rule.nullable) operators.null = t.boolean()
+
+  return t.object(operators)
+}
+
+// Query schema for ?filter[field][operator]=value over `fields` ({ name: t.rule() })
+export function filterQuery(fields) {
+  return t.object(Object.fromEntries(
+    Object.entries(fields).map(([name, rule]) => [name, operatorRules(rule)])
+  ))
+}
+
+// Query schema for ?sort=-views,title over `fields`; `keywords` are extra values an
+// endpoint gives its own meaning (e.g. relevance for text search)
+export function sortQuery(fields, { keywords = [] } = {}) {
+  const names = Array.isArray(fields) ? fields : Object.keys(fields)
+  const values = [...keywords, ...names.flatMap(name => [name, `-${name}`])]
+
+  return t.array(t.enum(values, { required: true }), { maxItems: MAX_SORT_KEYS })
+}
+
+// { age: { gte: 30 }, name: { null: true } } → { AND: [{ age: { gte: 30 } }, { name: null }] }
+export function buildFilterWhere(filter = {}) {
+  const conditions = []
+
+  for (const [field, operators] of Object.entries(filter)) {
+    for (const [operator, value] of Object.entries(operators)) {
+      if (operator === 'null') {
+        conditions.push({ [field]: value ? null : { not: null } })
+      } else {
+        conditions.push({
+          [field]: {
+            [PRISMA_OPERATORS[operator]]: value,
+            ...(CASE_INSENSITIVE.includes(operator) && { mode: 'insensitive' })
+          }
+        })
+      }
+    }
+  }
+
+  return conditions.length > 0 ? { AND: conditions } : {}
+}
+
+// Combines a route's own where with ?filter conditions
+export function withFilter(where, filter) {
+  const { AND: conditions } = buildFilterWhere(filter)
+
+  if (!conditions) return where
+  return { AND: Object.keys(where).length > 0 ? [where, ...conditions] : conditions }
+}
+
+function parseSortKey(key) {
+  return key.startsWith('-') ? { field: key.slice(1), order: 'desc' } : { field: key, order: 'asc' }
+}
+
+// ['-views', 'title'] → [{ views: 'desc' }, { title: 'asc' }, { id: 'asc' }].
+// Repeated fields keep their first direction; id breaks ties so pages are stable.
+export function buildOrderBy(sort) {
+  const keys = []
+  const seen = new Set()
+
+  for (const { field, order } of sort.map(parseSortKey)) {
+    if (seen.has(field)) continue
+    seen.add(field)
+    keys.push({ field, order })
+  }
+
+  if (!seen.has('id')) {
+    keys.push({ field: 'id', order: keys[keys.length - 1]?.order || 'asc' })
+  }
+
+  return keys.map(({ field, order }) => ({ [field]: order }))
+}
+
+// Keyset pagination orders by one field plus id: turns ?sort into the
+// { field, order, type } findPageByCursor() expects, or rejects what it can't page
+export function keysetSort(sort, fields) {
+  if (sort.length > 1) {
+    throw new BadRequestError('Cursor pagination supports a single sort field')
+  }
+
+  const { field, order } = parseSortKey(sort[0])
+  const rule = fields[field]
+
+  if (rule?.nullable) {
+    throw new BadRequestError(`Cursor pagination can't sort by ${field}, which may be empty`)
+  }
+
+  return { field, order, type: rule?.type }
+}
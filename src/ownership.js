@@ -0,0 +1,77 @@
+import { BadRequestError, NotFoundError } from './errors.js'
+import { softDelete } from './softDelete.js'
+
+// 🔁 Post ownership transfers
+//
+// Every handover - a single post, a bulk offboarding transfer or reassignment when
+// the author is deleted - moves the posts and writes one PostOwnershipChange row per
+// post in the same transaction, so the history can't drift from posts.authorId.
+
+// Looks up the new author by email; soft-deleted users can't receive posts
+export async function findTransferTarget(tx, email) {
+  const user = await tx.user.findUnique({
+    where: { email },
+    select: { id: true, name: true, email: true }
+  })
+
+  if (!user) {
+    throw new NotFoundError('New author not found')
+  }
+
+  return user
+}
+
+// Moves every post matching `where` to `toUserId`. Posts the target already owns are
+// skipped. Run inside prisma.$transaction; resolves to the ids that moved.
+export async function transferPosts(tx, { where, toUserId, changedById = null, reason = null }) {
+  const posts = await tx.post.findMany({
+    where: { AND: [where, { authorId: { not: toUserId } }] },
+    select: { id: true, authorId: true },
+    orderBy: { id: 'asc' }
+  })
+
+  if (posts.length === 0) return []
+
+  const postIds = posts.map(post => post.id)
+  const createdAt = new Date()
+
+  await tx.post.updateMany({
+    where: { id: { in: postIds } },
+    data: { authorId: toUserId }
+  })
+
+  await tx.postOwnershipChange.createMany({
+    data: posts.map(post => ({
+      postId: post.id,
+      fromUserId: post.authorId,
+      toUserId,
+      changedById,
+      reason,
+      createdAt
+    }))
+  })
+
+  return postIds
+}
+
+// Soft-deletes a user after handing all their posts - soft-deleted ones included -
+// to another user, so nothing they wrote disappears with them. Their comments are
+// still deleted along with the account.
+export async function deleteUserWithReassign(tx, { userId, toEmail, changedById }) {
+  const target = await findTransferTarget(tx, toEmail)
+
+  if (target.id === userId) {
+    throw new BadRequestError('Posts cannot be reassigned to the user being deleted')
+  }
+
+  const postIds = await transferPosts(tx, {
+    where: { authorId: userId, deletedAt: undefined },
+    toUserId: target.id,
+    changedById,
+    reason: 'Author deleted'
+  })
+
+  await softDelete(tx, 'user', userId)
+
+  return { reassignedTo: target, postIds }
+}
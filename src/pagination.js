@@ -0,0 +1,113 @@
+import { BadRequestError } from './errors.js'
+
+// 📄 Cursor-based (keyset) pagination
+//
+// Offset paging (skip/take) makes Postgres walk and discard every skipped row, and
+// rows inserted between requests shift pages so infinite-scroll clients see
+// duplicates or miss rows. Keyset paging instead asks for "rows after the last one
+// I saw", using the sort key plus `id` as a unique tie-breaker:
+//
+//   WHERE ("createdAt", id) < (:lastCreatedAt, :lastId) ORDER BY "createdAt" DESC, id DESC
+//
+// Cursors are opaque base64url JSON of { d: direction, v: sort value, id } so
+// clients just echo back nextCursor or prevCursor.
+
+const DIRECTIONS = ['next', 'prev']
+
+// The default order of every list endpoint
+export const NEWEST_FIRST = { field: 'createdAt', order: 'desc', type: 'date' }
+
+function encodeCursor(direction, row, field) {
+  const value = row[field] instanceof Date ? row[field].toISOString() : row[field]
+  return Buffer.from(JSON.stringify({ d: direction, v: value, id: row.id })).toString('base64url')
+}
+
+function decodeCursor(cursor, field, sample) {
+  try {
+    const { d, v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'))
+
+    if (!DIRECTIONS.includes(d) || !Number.isInteger(id) || v === undefined) {
+      throw new Error('malformed cursor')
+    }
+
+    // Date sort keys travel as ISO strings
+    const value = sample === 'date' ? new Date(v) : v
+    if (value instanceof Date && Number.isNaN(value.getTime())) {
+      throw new Error('malformed cursor date')
+    }
+
+    return { direction: d, value, id }
+  } catch {
+    throw new BadRequestError(`Invalid cursor for sort field ${field}`)
+  }
+}
+
+// Rows strictly after (or before) the cursor row in sort order
+function keysetWhere(field, comparison, value, id) {
+  return {
+    OR: [
+      { [field]: { [comparison]: value } },
+      { [field]: value, id: { [comparison]: id } }
+    ]
+  }
+}
+
+// Runs a keyset-paginated findMany on a model delegate (e.g. prisma.post).
+//   args    - where / include / select passed through to findMany (a select must
+//             keep `id` and the sort field, which the cursors are built from)
+//   sort    - { field, order, type } where type is 'date' for DateTime fields
+//   cursor  - an opaque cursor from a previous page, or undefined for the first page
+//   withTotal - also run count(); off by default because it's the expensive part
+export async function findPageByCursor(delegate, args, { sort, cursor, limit, withTotal = false }) {
+  const { field, order = 'desc', type } = sort
+  const where = args.where || {}
+  const decoded = cursor ? decodeCursor(cursor, field, type) : null
+  const direction = decoded?.direction || 'next'
+
+  // Going backwards flips both the comparison and the order, then the page is
+  // reversed so rows always come back in the requested sort order
+  const forwardComparison = order === 'desc' ? 'lt' : 'gt'
+  const backwardComparison = order === 'desc' ? 'gt' : 'lt'
+  const queryOrder = direction === 'next' ? order : (order === 'desc' ? 'asc' : 'desc')
+
+  const pageWhere = decoded
+    ? {
+        AND: [
+          where,
+          keysetWhere(field, direction === 'next' ? forwardComparison : backwardComparison, decoded.value, decoded.id)
+        ]
+      }
+    : where
+
+  // One extra row tells us whether another page exists without a count()
+  const [rows, total] = await Promise.all([
+    delegate.findMany({
+      ...args,
+      where: pageWhere,
+      orderBy: [{ [field]: queryOrder }, { id: queryOrder }],
+      take: limit + 1
+    }),
+    withTotal ? delegate.count({ where }) : undefined
+  ])
+
+  const hasMore = rows.length > limit
+  const page = rows.slice(0, limit)
+  if (direction === 'prev') page.reverse()
+
+  const first = page[0]
+  const last = page[page.length - 1]
+
+  const hasNext = direction === 'next' ? hasMore : Boolean(decoded)
+  const hasPrev = direction === 'prev' ? hasMore : Boolean(decoded)
+
+  return {
+    data: page,
+    pagination: {
+      mode: 'cursor',
+      limit,
+      nextCursor: hasNext && last ? encodeCursor('next', last, field) : null,
+      prevCursor: hasPrev && first ? encodeCursor('prev', first, field) : null,
+      ...(withTotal && { total })
+    }
+  }
+}
@@ -0,0 +1,144 @@
+import { ForbiddenError, NotFoundError, UnauthorizedError } from './errors.js'
+
+// 🛡️ Authorization policies for the Role enum (USER, MODERATOR, ADMIN)
+//
+// Every action is a plain function (actor, resource, input) => boolean:
+//   actor    - req.user ({ id, role }) or null for anonymous callers
+//   resource - the record being acted on, loaded by the route (null for creates)
+//   input    - the request body, for rules that depend on which fields change
+// Nothing here touches Express or Prisma, so policies can be unit tested by
+// calling can() with plain objects.
+
+const isAuthenticated = (actor) => Boolean(actor)
+const isAdmin = (actor) => actor?.role === 'ADMIN'
+const isModerator = (actor) => actor?.role === 'MODERATOR' || isAdmin(actor)
+const isOwner = (actor, ownerId) => Boolean(actor) && actor.id === ownerId
+
+export const policies = {
+  user: {
+    // Self-service signup goes through /api/auth/register
+    create: (actor) => isAdmin(actor),
+    // Users edit themselves, admins edit anyone; only admins change roles
+    update: (actor, user, input = {}) =>
+      (isOwner(actor, user.id) || isAdmin(actor)) &&
+      (input.role === undefined || isAdmin(actor)),
+    delete: (actor) => isAdmin(actor),
+    restore: (actor) => isAdmin(actor),
+    viewDeleted: (actor) => isAdmin(actor),
+    // Bulk handover of someone's posts, e.g. when they leave
+    transferPosts: (actor) => isAdmin(actor),
+    // Account state (isActive) in responses, see src/serialize.js
+    viewInternal: (actor) => isAdmin(actor)
+  },
+
+  post: {
+    // Posting on someone else's behalf is an admin-only operation
+    create: (actor, _post, input = {}) =>
+      isAuthenticated(actor) &&
+      (input.authorId === undefined || input.authorId === actor.id || isAdmin(actor)),
+    update: (actor, post) => isOwner(actor, post.authorId) || isAdmin(actor),
+    publish: (actor, post) => isOwner(actor, post.authorId) || isAdmin(actor),
+    // Moderators can take content offline without being able to edit it
+    unpublish: (actor, post) => isOwner(actor, post.authorId) || isModerator(actor),
+    delete: (actor, post) => isOwner(actor, post.authorId) || isAdmin(actor),
+    // Restoring can undo a moderation decision, so it stays with whoever can delete
+    // any post - an owner's own delete included
+    restore: (actor) => isAdmin(actor),
+    viewDeleted: (actor) => isAdmin(actor),
+    transfer: (actor, post) => isOwner(actor, post.authorId) || isAdmin(actor),
+    viewOwnershipHistory: (actor, post) => isOwner(actor, post.authorId) || isAdmin(actor),
+    manageCategories: (actor, post) => isOwner(actor, post.authorId) || isModerator(actor)
+  },
+
+  comment: {
+    create: (actor) => isAuthenticated(actor),
+    // Nobody rewrites someone else's words, not even admins
+    update: (actor, comment) => isOwner(actor, comment.authorId),
+    delete: (actor, comment) => isOwner(actor, comment.authorId) || isModerator(actor),
+    restore: (actor) => isModerator(actor),
+    viewDeleted: (actor) => isAdmin(actor)
+  },
+
+  category: {
+    create: (actor) => isModerator(actor),
+    update: (actor) => isModerator(actor),
+    delete: (actor) => isAdmin(actor),
+    merge: (actor) => isAdmin(actor)
+  },
+
+  audit: {
+    read: (actor) => isAdmin(actor)
+  },
+
+  // Reports list users with their emails
+  report: {
+    read: (actor) => isModerator(actor)
+  },
+
+  // Bulk export/import covers every user's data, credentials aside
+  data: {
+    export: (actor) => isAdmin(actor),
+    import: (actor) => isAdmin(actor)
+  }
+}
+
+// can(actor, 'post:update', post, input) - unknown actions are denied
+export function can(actor, action, resource = null, input = {}) {
+  const [model, name] = action.split(':')
+  const policy = policies[model]?.[name]
+
+  if (!policy) return false
+
+  return Boolean(policy(actor, resource, input))
+}
+
+// Denials always carry the attempted action: 401 for anonymous callers, 403 otherwise
+export function denialError(actor, action) {
+  if (!actor) {
+    return new UnauthorizedError('Authentication required', { action })
+  }
+
+  return new ForbiddenError(`Role ${actor.role} is not allowed to perform ${action} on this resource`, { action })
+}
+
+// Express middleware: loads the resource (404 when missing), runs the policy and
+// leaves the loaded record on req.resource for the handler
+export function authorize(action, loadResource) {
+  const model = action.split(':')[0]
+  const notFound = `${model.charAt(0).toUpperCase()}${model.slice(1)} not found`
+
+  return async (req, res, next) => {
+    try {
+      let resource = null
+
+      if (loadResource) {
+        resource = await loadResource(req)
+
+        if (!resource) {
+          return next(new NotFoundError(notFound))
+        }
+      }
+
+      if (!can(req.user, action, resource, req.body || {})) {
+        return next(denialError(req.user, action))
+      }
+
+      req.resource = resource
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+}
+
+// Like authorize(), but only checked when `applies(req)` is true - for opt-in
+// flags such as ?withDeleted=true on otherwise public routes
+export function authorizeWhen(applies, action) {
+  return (req, res, next) => {
+    if (applies(req) && !can(req.user, action)) {
+      return next(denialError(req.user, action))
+    }
+
+    next()
+  }
+}
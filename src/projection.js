@@ -0,0 +1,153 @@
+import { ValidationError } from './errors.js'
+
+// 🔭 Sparse fieldsets and relation expansion
+//
+//   ?include=posts.comments.author&fields[user]=id,name&fields[comment]=content
+//
+// `include` lists relation paths (comma-separated, dot-nested, at most
+// MAX_INCLUDE_DEPTH deep); `fields[model]` narrows the scalars returned for that
+// model wherever it appears. Both are checked against the whitelist below and turned
+// into a Prisma `select`, so nothing outside it - password hashes, refresh tokens,
+// arbitrary relations - can be asked for. `id` is always returned.
+//
+// To-many relations return at most MAX_RELATION_ITEMS records, newest first, with
+// the full number under `_count`, so one request can't pull a whole table.
+
+export const MAX_INCLUDE_DEPTH = 3
+export const MAX_RELATION_ITEMS = 20
+
+// Per-model scalars and relations clients may ask for. `many` relations to
+// soft-deletable models only return live rows; `through` relations skip the join
+// table's own columns and select the named relation on it.
+const RESOURCES = {
+  user: {
+    fields: ['id', 'email', 'name', 'age', 'role', 'isActive', 'createdAt', 'updatedAt'],
+    relations: {
+      profile: { model: 'profile' },
+      posts: { model: 'post', many: true },
+      comments: { model: 'comment', many: true }
+    }
+  },
+  profile: {
+    fields: ['id', 'bio', 'avatar', 'website', 'location', 'userId'],
+    relations: {}
+  },
+  post: {
+    fields: ['id', 'title', 'content', 'published', 'views', 'createdAt', 'updatedAt', 'authorId'],
+    relations: {
+      author: { model: 'user' },
+      comments: { model: 'comment', many: true },
+      categories: { model: 'category', many: true, through: 'category' }
+    }
+  },
+  comment: {
+    fields: ['id', 'content', 'createdAt', 'updatedAt', 'authorId', 'postId', 'parentId'],
+    relations: {
+      author: { model: 'user' },
+      post: { model: 'post' },
+      parent: { model: 'comment' },
+      replies: { model: 'comment', many: true }
+    }
+  },
+  category: {
+    fields: ['id', 'name', 'color'],
+    relations: {}
+  }
+}
+
+const SOFT_DELETE_MODELS = ['user', 'post', 'comment']
+
+export const PROJECTION_MODELS = Object.keys(RESOURCES)
+
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean)
+
+// "posts.comments.author,profile" → { posts: { comments: { author: {} } }, profile: {} }
+function parseInclude(include, errors) {
+  const tree = {}
+
+  for (const path of splitList(include)) {
+    const names = path.split('.')
+
+    if (names.length > MAX_INCLUDE_DEPTH) {
+      errors.push({ field: 'include', message: `"${path}" is nested deeper than ${MAX_INCLUDE_DEPTH} levels` })
+      continue
+    }
+
+    let node = tree
+    for (const name of names) {
+      node[name] = node[name] || {}
+      node = node[name]
+    }
+  }
+
+  return tree
+}
+
+function buildSelect(model, tree, fields, path, errors) {
+  const resource = RESOURCES[model]
+  const select = { id: true }
+
+  const requested = fields[model] === undefined ? resource.fields : splitList(fields[model])
+  for (const field of requested) {
+    if (resource.fields.includes(field)) {
+      select[field] = true
+    } else {
+      errors.push({ field: `fields[${model}]`, message: `unknown field "${field}"` })
+    }
+  }
+
+  for (const [name, children] of Object.entries(tree)) {
+    const relation = resource.relations[name]
+    const relationPath = path ? `${path}.${name}` : name
+
+    if (!relation) {
+      errors.push({ field: 'include', message: `"${relationPath}" is not an includable relation` })
+      continue
+    }
+
+    const childSelect = buildSelect(relation.model, children, fields, relationPath, errors)
+
+    if (!relation.many) {
+      select[name] = { select: childSelect }
+      continue
+    }
+
+    // Nested reads bypass the soft-delete extension
+    const where = !relation.through && SOFT_DELETE_MODELS.includes(relation.model) ? { deletedAt: null } : undefined
+
+    select[name] = {
+      where,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: MAX_RELATION_ITEMS,
+      select: relation.through ? { [relation.through]: { select: childSelect } } : childSelect
+    }
+
+    select._count = { select: { ...select._count?.select, [name]: where ? { where } : true } }
+  }
+
+  return select
+}
+
+// True when the request asked for a projection at all; routes keep their default
+// response shape otherwise
+export function wantsProjection(query) {
+  return query.include !== undefined || query.fields !== undefined
+}
+
+// Turns validated ?include / ?fields into a Prisma select for `model`.
+// `required` fields are selected even when fields[model] leaves them out (e.g. the
+// sort key cursors are built from).
+export function buildProjection(model, { include = '', fields = {} }, { required = [] } = {}) {
+  const errors = []
+  const select = buildSelect(model, parseInclude(include, errors), fields, '', errors)
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors)
+  }
+
+  for (const field of required) {
+    select[field] = true
+  }
+
+  return select
+}
@@ -0,0 +1,117 @@
+import { TooManyRequestsError } from './errors.js'
+
+// 🚦 Per-client rate limiting
+//
+// Each caller - the user id when authenticated, the client IP otherwise - gets a
+// budget of requests per window that depends on their role. Writes, search and
+// analytics also draw on a stricter budget of their own, and a request is refused
+// with 429 as soon as either runs out. Windows slide: the previous window's count
+// still weighs in for the part of it that overlaps the last `windowMs`.
+//
+// Responses carry RateLimit-Limit/-Remaining/-Reset/-Policy for the tighter of the
+// two budgets, and refusals add Retry-After. Both point at the end of the current
+// window; a client that used its whole budget early may wait a little longer, while
+// the previous window still weighs in.
+
+// A store counts hits per key: increment(key, windowMs) returns { count, resetMs },
+// the sliding count including this hit and the ms left in the current window. It may
+// be async, e.g. a Redis INCR + PEXPIRE per window so several instances share counts.
+export function createMemoryRateLimitStore() {
+  const windows = new Map()
+  let sweepAt = 0
+
+  // Keys idle for two windows no longer affect any count
+  function sweep(now, windowMs) {
+    if (now < sweepAt) return
+    sweepAt = now + windowMs
+
+    for (const [key, entry] of windows) {
+      if (entry.start + 2 * windowMs <= now) windows.delete(key)
+    }
+  }
+
+  return {
+    increment(key, windowMs) {
+      const now = Date.now()
+      const start = now - (now % windowMs)
+      sweep(now, windowMs)
+
+      let entry = windows.get(key)
+
+      if (!entry || entry.start !== start) {
+        // Only the window right before this one still overlaps
+        const previous = entry?.start === start - windowMs ? entry.current : 0
+        entry = { start, current: 0, previous }
+        windows.set(key, entry)
+      }
+
+      entry.current += 1
+
+      const overlap = 1 - (now - start) / windowMs
+      return {
+        count: Math.floor(entry.previous * overlap) + entry.current,
+        resetMs: start + windowMs - now
+      }
+    }
+  }
+}
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS']
+const ANALYTICS_PATH = /^\/api\/(analytics|raw|reports)(\/|$)/
+
+// The stricter budget a request draws on besides `default`, if any
+function requestClass(req) {
+  if (!READ_METHODS.includes(req.method)) return 'write'
+  if (req.path === '/api/posts/search') return 'search'
+  if (ANALYTICS_PATH.test(req.path)) return 'analytics'
+  return null
+}
+
+// Express middleware: mount after authenticate() so the caller's role is known.
+// budgets: { default: { anonymous, USER, MODERATOR, ADMIN }, write: {...}, ... }
+export function rateLimit({ store = createMemoryRateLimitStore(), windowMs, budgets }) {
+  const windowSeconds = Math.ceil(windowMs / 1000)
+
+  return async (req, res, next) => {
+    try {
+      const tier = req.user?.role ?? 'anonymous'
+      const client = req.user ? `user:${req.user.id}` : `ip:${req.ip}`
+      const scopes = ['default', requestClass(req)].filter(Boolean)
+
+      let reported = null
+
+      for (const scope of scopes) {
+        const limit = budgets[scope][tier]
+        const { count, resetMs } = await store.increment(`${scope}:${client}`, windowMs)
+        const state = { scope, limit, remaining: Math.max(0, limit - count), resetMs, exceeded: count > limit }
+
+        if (!reported || (state.exceeded && !reported.exceeded) ||
+            (state.exceeded === reported.exceeded && state.remaining < reported.remaining)) {
+          reported = state
+        }
+      }
+
+      const resetSeconds = Math.ceil(reported.resetMs / 1000)
+
+      res.set({
+        'RateLimit-Limit': String(reported.limit),
+        'RateLimit-Remaining': String(reported.remaining),
+        'RateLimit-Reset': String(resetSeconds),
+        'RateLimit-Policy': `${reported.limit};w=${windowSeconds}`
+      })
+
+      if (reported.exceeded) {
+        res.set('Retry-After', String(resetSeconds))
+        const kind = reported.scope === 'default' ? '' : `${reported.scope} `
+        return next(new TooManyRequestsError(
+          `Rate limit of ${reported.limit} ${kind}requests per ${windowSeconds} s exceeded`,
+          { scope: reported.scope, retryAfter: resetSeconds }
+        ))
+      }
+
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+}
@@ -0,0 +1,215 @@
+import { Prisma } from '@prisma/client'
+import { NotFoundError, ValidationError } from './errors.js'
+import { bucketRange, INTERVALS } from './analytics.js'
+import { t, validateObject } from './validation.js'
+
+// 📑 Named, parameterized SQL reports (GET /api/reports/:name)
+//
+// Raw SQL skips Prisma's field mapping, so a column spelled the way it "ought" to
+// be (author_id, is_active) only fails when the query runs. Reports never spell
+// tables or columns by hand: sqlRefs() builds them from the Prisma schema (dmmf),
+// quoted the way Postgres stores them, and throws on names the schema doesn't have.
+// Every report is built once when this module loads, so a bad column fails at
+// startup rather than on the first request.
+
+const MODELS = new Map(Prisma.dmmf.datamodel.models.map(model => [model.name, model]))
+
+// sqlRefs('Post', 'p') → { table: posts p, authorId: p."authorId", ... }
+function sqlRefs(modelName, alias) {
+  const model = MODELS.get(modelName)
+
+  if (!model) {
+    throw new Error(`Unknown Prisma model ${modelName}`)
+  }
+
+  const refs = { table: Prisma.raw(`"${model.dbName ?? model.name}" ${alias}`) }
+
+  for (const field of model.fields) {
+    if (field.kind === 'scalar' || field.kind === 'enum') {
+      refs[field.name] = Prisma.raw(`${alias}."${field.dbName ?? field.name}"`)
+    }
+  }
+
+  return new Proxy(refs, {
+    get(target, key) {
+      if (typeof key === 'string' && !Object.hasOwn(target, key)) {
+        throw new Error(`${modelName} has no column "${key}"`)
+      }
+      return target[key]
+    }
+  })
+}
+
+const u = sqlRefs('User', 'u')
+const p = sqlRefs('Post', 'p')
+const c = sqlRefs('Comment', 'c')
+const cat = sqlRefs('Category', 'cat')
+const pc = sqlRefs('PostCategory', 'pc')
+
+function dateConditions(column, { date_from, date_to }) {
+  const conditions = []
+  if (date_from) conditions.push(Prisma.sql`${column} >= ${date_from}`)
+  if (date_to) conditions.push(Prisma.sql`${column} <= ${date_to}`)
+  return conditions
+}
+
+const where = (conditions) => Prisma.join(conditions, ' AND ')
+
+const limit = t.int({ min: 1, max: 100, default: 10 })
+
+// Counts are cast to int and averages to float8 so rows serialize as plain numbers.
+// Raw SQL bypasses the soft-delete extension, hence the explicit deletedAt checks.
+export const REPORTS = {
+  'user-activity': {
+    description: 'Active users ranked by posts, then comments, with average post views and latest post',
+    params: {
+      date_from: t.date(),
+      date_to: t.date(),
+      limit
+    },
+    query: (params) => Prisma.sql`
+      WITH post_stats AS (
+        SELECT
+          ${p.authorId} AS "userId",
+          COUNT(*)::int AS posts,
+          ROUND(AVG(${p.views}), 2)::float8 AS "avgViews",
+          MAX(${p.createdAt}) AS "lastPostAt"
+        FROM ${p.table}
+        WHERE ${where([Prisma.sql`${p.deletedAt} IS NULL`, ...dateConditions(p.createdAt, params)])}
+        GROUP BY 1
+      ),
+      comment_stats AS (
+        SELECT ${c.authorId} AS "userId", COUNT(*)::int AS comments
+        FROM ${c.table}
+        WHERE ${where([Prisma.sql`${c.deletedAt} IS NULL`, ...dateConditions(c.createdAt, params)])}
+        GROUP BY 1
+      )
+      SELECT
+        ${u.id} AS id,
+        ${u.name} AS name,
+        ${u.email} AS email,
+        COALESCE(ps.posts, 0) AS "postCount",
+        COALESCE(cs.comments, 0) AS "commentCount",
+        ps."avgViews" AS "avgPostViews",
+        ps."lastPostAt" AS "lastPostDate"
+      FROM ${u.table}
+      LEFT JOIN post_stats ps ON ps."userId" = ${u.id}
+      LEFT JOIN comment_stats cs ON cs."userId" = ${u.id}
+      WHERE ${u.isActive} = true AND ${u.deletedAt} IS NULL
+      ORDER BY "postCount" DESC, "commentCount" DESC, ${u.id}
+      LIMIT ${params.limit}
+    `
+  },
+
+  'top-commenters': {
+    description: 'Users with the most comments on live posts, with reply and distinct post counts',
+    params: {
+      date_from: t.date(),
+      date_to: t.date(),
+      limit
+    },
+    query: (params) => Prisma.sql`
+      SELECT
+        ${u.id} AS id,
+        ${u.name} AS name,
+        ${u.email} AS email,
+        COUNT(*)::int AS comments,
+        COUNT(*) FILTER (WHERE ${c.parentId} IS NOT NULL)::int AS replies,
+        COUNT(DISTINCT ${c.postId})::int AS "postsCommentedOn",
+        MAX(${c.createdAt}) AS "lastCommentAt"
+      FROM ${c.table}
+      JOIN ${u.table} ON ${u.id} = ${c.authorId}
+      JOIN ${p.table} ON ${p.id} = ${c.postId}
+      WHERE ${where([
+        Prisma.sql`${c.deletedAt} IS NULL`,
+        Prisma.sql`${u.deletedAt} IS NULL`,
+        Prisma.sql`${p.deletedAt} IS NULL`,
+        ...dateConditions(c.createdAt, params)
+      ])}
+      GROUP BY ${u.id}
+      ORDER BY comments DESC, ${u.id}
+      LIMIT ${params.limit}
+    `
+  },
+
+  'category-growth': {
+    description: 'New posts per category per day/week/month, zero-filled, with a running total',
+    params: {
+      interval: t.enum(INTERVALS, { default: 'month' }),
+      date_from: t.date(),
+      date_to: t.date()
+    },
+    query: ({ interval, date_from, date_to }) => {
+      const { from, to } = bucketRange(interval, { from: date_from, to: date_to }, { defaultBuckets: 12 })
+      const step = `1 ${interval}`
+
+      // totalPosts counts everything up to the end of each bucket, including posts
+      // from before the range
+      return Prisma.sql`
+        WITH buckets AS (
+          SELECT generate_series(
+            date_trunc(${interval}, ${from}::timestamp),
+            date_trunc(${interval}, ${to}::timestamp),
+            ${step}::interval
+          ) AS bucket
+        ),
+        bounds AS (
+          SELECT MIN(bucket) AS start, MAX(bucket) + ${step}::interval AS finish FROM buckets
+        ),
+        category_posts AS (
+          SELECT ${pc.categoryId} AS "categoryId", date_trunc(${interval}, ${p.createdAt}) AS bucket, COUNT(*)::int AS posts
+          FROM ${pc.table}
+          JOIN ${p.table} ON ${p.id} = ${pc.postId}, bounds
+          WHERE ${p.deletedAt} IS NULL AND ${p.createdAt} < bounds.finish
+          GROUP BY 1, 2
+        ),
+        baseline AS (
+          SELECT cp."categoryId", SUM(cp.posts) AS posts
+          FROM category_posts cp, bounds
+          WHERE cp.bucket < bounds.start
+          GROUP BY 1
+        )
+        SELECT
+          ${cat.id} AS "categoryId",
+          ${cat.name} AS category,
+          b.bucket,
+          COALESCE(cp.posts, 0) AS "newPosts",
+          (COALESCE(base.posts, 0) + SUM(COALESCE(cp.posts, 0)) OVER (PARTITION BY ${cat.id} ORDER BY b.bucket))::int AS "totalPosts"
+        FROM ${cat.table}
+        CROSS JOIN buckets b
+        LEFT JOIN category_posts cp ON cp."categoryId" = ${cat.id} AND cp.bucket = b.bucket
+        LEFT JOIN baseline base ON base."categoryId" = ${cat.id}
+        ORDER BY ${cat.name}, b.bucket
+      `
+    }
+  }
+}
+
+// Report names, descriptions and parameter rules for GET /api/reports
+export function describeReports() {
+  return Object.entries(REPORTS).map(([name, { description, params }]) => ({ name, description, params }))
+}
+
+// Validates `query` against the report's parameters and runs it
+export async function runReport(prisma, name, query = {}) {
+  if (!Object.hasOwn(REPORTS, name)) {
+    throw new NotFoundError(`Unknown report "${name}"`)
+  }
+
+  const report = REPORTS[name]
+  const { value: params, errors } = validateObject(t.object(report.params, { unknown: 'strip' }), query, 'query')
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors)
+  }
+
+  const data = await prisma.$queryRaw(report.query(params))
+
+  return { params, data }
+}
+
+// Build every report with its default parameters so a column the schema doesn't
+// have stops the app here
+for (const report of Object.values(REPORTS)) {
+  report.query(validateObject(report.params, {}).value)
+}
@@ -0,0 +1,89 @@
+import { Router } from 'express'
+import { authorize } from '../policies.js'
+import { validate } from '../validation.js'
+import { asyncHandler } from '../errors.js'
+import { ANALYTICS_MODELS, bucketRange, categoryAnalytics, engagementTimeseries, topAuthors } from '../analytics.js'
+import { setCacheHeaders } from '../httpCache.js'
+import { runReport } from '../reports.js'
+import * as schemas from '../schemas.js'
+
+// 📊 Read-only reporting: Prisma aggregation and raw SQL examples
+
+export function analyticsRoutes({ prisma, cache, config }) {
+  const router = Router()
+
+  // Writes and view count flushes invalidate these like any cached read; the short
+  // ttl bounds what a flush on another instance leaves stale
+  const cacheOptions = { tags: ANALYTICS_MODELS, ttl: config.analyticsCacheTtlMs }
+
+  // Per-category totals and top authors, aggregated in SQL
+  router.get('/analytics/posts', validate({ query: schemas.categoryAnalyticsQuery }), asyncHandler(async (req, res) => {
+    const { date_from: dateFrom, date_to: dateTo, author } = req.query
+    const filters = { dateFrom, dateTo, author }
+    const key = `analytics:posts:${JSON.stringify(filters)}`
+
+    const { value, hit } = await cache.wrap(key, async () => {
+      const [categories, authors] = await Promise.all([
+        categoryAnalytics(prisma, filters),
+        topAuthors(prisma, filters)
+      ])
+
+      return {
+        filters: {
+          date_from: dateFrom ?? null,
+          date_to: dateTo ?? null,
+          author: author ?? null
+        },
+        categoryAnalytics: categories,
+        topAuthors: authors,
+        generatedAt: new Date().toISOString()
+      }
+    }, cacheOptions)
+
+    setCacheHeaders(res, { hit, lastModified: value.generatedAt })
+    res.json(value)
+  }))
+
+  // 📈 Posts, comments, new users and views per day/week/month, zero-filled
+  router.get('/analytics/timeseries', validate({ query: schemas.timeseriesQuery }), asyncHandler(async (req, res) => {
+    const { interval, category, author } = req.query
+    const { from, to } = bucketRange(interval, { from: req.query.date_from, to: req.query.date_to })
+
+    // Keyed by the request, not the resolved range: an open-ended range ending now
+    // is reused until the entry expires
+    const { value, hit } = await cache.wrap(`analytics:timeseries:${JSON.stringify(req.query)}`, async () => {
+      const series = await engagementTimeseries(prisma, { interval, from, to, category, author })
+
+      const totals = series.reduce((sum, point) => ({
+        posts: sum.posts + point.posts,
+        comments: sum.comments + point.comments,
+        newUsers: sum.newUsers + point.newUsers,
+        views: sum.views + point.views
+      }), { posts: 0, comments: 0, newUsers: 0, views: 0 })
+
+      return {
+        interval,
+        from: series[0]?.bucket ?? from,
+        to,
+        filters: { category: category ?? null, author: author ?? null },
+        totals,
+        data: series
+      }
+    }, cacheOptions)
+
+    setCacheHeaders(res, { hit })
+    res.json(value)
+  }))
+
+  // ==================== Raw SQL Example ====================
+
+  // The user-activity report with its defaults (see src/reports.js); it lists
+  // emails, so it needs the same permission as /reports
+  router.get('/raw/user-activity', authorize('report:read'), asyncHandler(async (req, res) => {
+    const { data } = await runReport(prisma, 'user-activity')
+    
+    res.json(data)
+  }))
+
+  return router
+}
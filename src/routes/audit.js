@@ -0,0 +1,60 @@
+import { Router } from 'express'
+import { authorize } from '../policies.js'
+import { validate } from '../validation.js'
+import { asyncHandler } from '../errors.js'
+import { findPageByCursor, NEWEST_FIRST } from '../pagination.js'
+import * as schemas from '../schemas.js'
+
+// 📜 Audit log queries under /api/audit (entries are written by src/audit.js)
+
+export function auditRoutes({ prisma }) {
+  const router = Router()
+
+  // 📜 Who changed what, newest first - e.g. ?model=User&record_id=42 for a user's
+  // role changes or ?model=Post&actor_id=7 for everything one person touched
+  router.get('/audit', validate({ query: schemas.listAuditQuery }), authorize('audit:read'), asyncHandler(async (req, res) => {
+    const { page, limit, pagination, cursor, include_total, model, record_id, actor_id, action, request_id } = req.query
+
+    const where = {}
+    if (model) where.model = { equals: model, mode: 'insensitive' }
+    if (record_id) where.recordId = record_id
+    if (actor_id) where.actorId = actor_id
+    if (action) where.action = { equals: action, mode: 'insensitive' }
+    if (request_id) where.requestId = request_id
+
+    if (pagination === 'cursor' || cursor) {
+      const result = await findPageByCursor(prisma.auditLog, { where }, {
+        sort: NEWEST_FIRST,
+        cursor,
+        limit,
+        withTotal: include_total
+      })
+      return res.json(result)
+    }
+
+    const skip = (page - 1) * limit
+    const take = limit
+
+    const [entries, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where,
+        skip,
+        take,
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }]
+      }),
+      prisma.auditLog.count({ where })
+    ])
+
+    res.json({
+      data: entries,
+      pagination: {
+        page,
+        limit: take,
+        total,
+        totalPages: Math.ceil(total / take)
+      }
+    })
+  }))
+
+  return router
+}
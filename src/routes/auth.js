@@ -0,0 +1,144 @@
+import { Router } from 'express'
+import {
+  hashPassword,
+  issueTokens,
+  requireAuth,
+  verifyAgainstDummy,
+  verifyPassword,
+  verifyRefreshToken
+} from '../auth.js'
+import { present } from '../serialize.js'
+import { validate } from '../validation.js'
+import { asyncHandler, ForbiddenError, UnauthorizedError } from '../errors.js'
+import * as schemas from '../schemas.js'
+
+// 🔐 Registration, login and refresh-token rotation under /api/auth
+
+const publicUserSelect = {
+  id: true,
+  email: true,
+  name: true,
+  role: true,
+  createdAt: true
+}
+
+export function authRoutes({ prisma }) {
+  const router = Router()
+
+  // 📝 Register with email and password
+  router.post('/auth/register', validate({ body: schemas.registerBody }), asyncHandler(async (req, res) => {
+    const { email, password, name, age } = req.body
+
+    const user = await prisma.user.create({
+      data: {
+        email,
+        name,
+        age,
+        passwordHash: await hashPassword(password)
+      },
+      select: publicUserSelect
+    })
+
+    const tokens = await issueTokens(prisma, user)
+
+    res.status(201).json({ user: present('user', user, user), ...tokens })
+  }))
+
+  // 🔑 Login - inactive users are refused even with the right password
+  router.post('/auth/login', validate({ body: schemas.loginBody }), asyncHandler(async (req, res) => {
+    const { email, password } = req.body
+
+    const user = await prisma.user.findUnique({
+      where: { email },
+      select: { ...publicUserSelect, isActive: true, passwordHash: true }
+    })
+
+    const valid = user?.passwordHash
+      ? await verifyPassword(password, user.passwordHash)
+      : await verifyAgainstDummy(password)
+
+    if (!valid) {
+      throw new UnauthorizedError('Invalid email or password')
+    }
+
+    if (!user.isActive) {
+      throw new ForbiddenError('Account is disabled')
+    }
+
+    const tokens = await issueTokens(prisma, user)
+
+    res.json({ user: present('user', user, user), ...tokens })
+  }))
+
+  // 🔄 Rotate a refresh token: the presented token is revoked and a new pair issued.
+  // Presenting an already revoked token signals theft, so every session of that user
+  // is revoked.
+  router.post('/auth/refresh', validate({ body: schemas.refreshTokenBody }), asyncHandler(async (req, res) => {
+    const claims = verifyRefreshToken(req.body.refreshToken)
+
+    if (!claims) {
+      throw new UnauthorizedError('Invalid or expired refresh token')
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const stored = await tx.refreshToken.findUnique({
+        where: { id: claims.jti },
+        include: {
+          user: { select: { ...publicUserSelect, isActive: true, deletedAt: true } }
+        }
+      })
+
+      if (!stored || stored.userId !== claims.sub) {
+        return null
+      }
+
+      if (stored.revokedAt) {
+        await tx.refreshToken.updateMany({
+          where: { userId: stored.userId, revokedAt: null },
+          data: { revokedAt: new Date() }
+        })
+        return null
+      }
+
+      // A to-one include isn't covered by the soft-delete extension
+      if (!stored.user.isActive || stored.user.deletedAt) {
+        return null
+      }
+
+      await tx.refreshToken.update({
+        where: { id: stored.id },
+        data: { revokedAt: new Date() }
+      })
+
+      return { user: present('user', stored.user, stored.user), ...(await issueTokens(tx, stored.user)) }
+    })
+
+    if (!result) {
+      throw new UnauthorizedError('Invalid or expired refresh token')
+    }
+
+    res.json(result)
+  }))
+
+  // 🚪 Logout - revokes the given refresh token. Access tokens are stateless and
+  // simply expire after authConfig.accessTokenTtl seconds.
+  router.post('/auth/logout', validate({ body: schemas.refreshTokenBody }), asyncHandler(async (req, res) => {
+    const claims = verifyRefreshToken(req.body.refreshToken)
+
+    if (claims) {
+      await prisma.refreshToken.updateMany({
+        where: { id: claims.jti, userId: claims.sub, revokedAt: null },
+        data: { revokedAt: new Date() }
+      })
+    }
+
+    res.status(204).send()
+  }))
+
+  // 👤 Current user
+  router.get('/auth/me', requireAuth, (req, res) => {
+    res.json(present('user', req.user, req.user))
+  })
+
+  return router
+}
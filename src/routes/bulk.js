@@ -0,0 +1,51 @@
+import { Readable } from 'node:stream'
+import { pipeline } from 'node:stream/promises'
+import { Router } from 'express'
+import { authorize } from '../policies.js'
+import { validate } from '../validation.js'
+import { asyncHandler, BadRequestError } from '../errors.js'
+import { CONTENT_TYPES, exportLines, importRecords, readRows } from '../dataTransfer.js'
+import * as schemas from '../schemas.js'
+
+// 📦 Streaming CSV/NDJSON export and import under /api/export and /api/import
+// (row format in src/dataTransfer.js)
+
+export function bulkRoutes({ prisma }) {
+  const router = Router()
+
+  // ⬇️ Stream users, posts or comments as a file download
+  router.get('/export/:resource', validate({ params: schemas.transferResourceParams, query: schemas.exportQuery }), authorize('data:export'), asyncHandler(async (req, res) => {
+    const { resource } = req.params
+    const { format } = req.query
+
+    // attachment() sets Content-Type from the extension, which .ndjson doesn't map to
+    res.attachment(`${resource}.${format}`)
+    res.type(CONTENT_TYPES[format])
+
+    try {
+      await pipeline(Readable.from(exportLines(prisma, resource, format)), res)
+    } catch (error) {
+      // Once rows went out the response can only be cut off
+      if (!res.headersSent) throw error
+      console.error('❌ Export failed mid-stream:', error)
+    }
+  }))
+
+  // ⬆️ Upsert rows from the raw request body, e.g.
+  //   curl -X POST --data-binary @users.csv -H 'Content-Type: text/csv' '.../api/import/users?format=csv&dry_run=true'
+  router.post('/import/:resource', validate({ params: schemas.transferResourceParams, query: schemas.importQuery }), authorize('data:import'), asyncHandler(async (req, res) => {
+    const { resource } = req.params
+    const { format, dry_run } = req.query
+
+    // express.json() has already consumed JSON bodies
+    if (req.is('application/json')) {
+      throw new BadRequestError('Send the file as text/csv or application/x-ndjson, not application/json')
+    }
+
+    const report = await importRecords(prisma, resource, readRows(req, resource, format), { dryRun: dry_run })
+
+    res.json(report)
+  }))
+
+  return router
+}
@@ -0,0 +1,147 @@
+import { Router } from 'express'
+import { authorize } from '../policies.js'
+import { validate } from '../validation.js'
+import { asyncHandler, BadRequestError, NotFoundError } from '../errors.js'
+import { buildOrderBy, withFilter } from '../listQuery.js'
+import { present } from '../serialize.js'
+import * as schemas from '../schemas.js'
+
+// 🏷️ Category CRUD and merging under /api/categories
+
+// Links to soft-deleted posts stay in place (for restore) but aren't counted
+const categoryInclude = {
+  _count: {
+    select: { posts: { where: { post: { deletedAt: null } } } }
+  }
+}
+
+export function categoryRoutes({ prisma }) {
+  const router = Router()
+
+  // 🔍 List categories with post counts
+  router.get('/categories', validate({ query: schemas.listCategoriesQuery }), asyncHandler(async (req, res) => {
+    const { filter, sort } = req.query
+
+    const categories = await prisma.category.findMany({
+      where: withFilter({}, filter),
+      include: categoryInclude,
+      orderBy: sort ? buildOrderBy(sort) : { name: 'asc' }
+    })
+
+    res.json(present('category', categories, req.user))
+  }))
+
+  router.get('/categories/:id', validate({ params: schemas.idParams }), asyncHandler(async (req, res) => {
+    const { id } = req.params
+
+    const category = await prisma.category.findUnique({
+      where: { id },
+      include: categoryInclude
+    })
+
+    if (!category) {
+      throw new NotFoundError('Category not found')
+    }
+
+    res.json(present('category', category, req.user))
+  }))
+
+  // ✏️ Create category
+  router.post('/categories', validate({ body: schemas.createCategoryBody }), authorize('category:create'), asyncHandler(async (req, res) => {
+    const { name, color } = req.body
+
+    const category = await prisma.category.create({
+      data: { name, color },
+      include: categoryInclude
+    })
+
+    res.status(201).json(present('category', category, req.user))
+  }))
+
+  // 🔄 Update category
+  router.put('/categories/:id', validate({ params: schemas.idParams, body: schemas.updateCategoryBody }), authorize('category:update'), asyncHandler(async (req, res) => {
+    const { id } = req.params
+    const { name, color } = req.body
+
+    const category = await prisma.category.update({
+      where: { id },
+      data: { name, color },
+      include: categoryInclude
+    })
+
+    res.json(present('category', category, req.user))
+  }))
+
+  // 🗑️ Delete category (its PostCategory links cascade, posts stay)
+  router.delete('/categories/:id', validate({ params: schemas.idParams }), authorize('category:delete'), asyncHandler(async (req, res) => {
+    const { id } = req.params
+
+    await prisma.category.delete({
+      where: { id }
+    })
+
+    res.status(204).send()
+  }))
+
+  // 🔀 Merge category :id into targetId
+  // Posts already linked to the target would violate @@unique([postId, categoryId])
+  // if their source link were re-pointed, so those links are dropped first and only
+  // the remaining ones are moved. Runs in one transaction so a failure leaves both
+  // categories untouched.
+  router.post('/categories/:id/merge', validate({ params: schemas.idParams, body: schemas.mergeCategoryBody }), authorize('category:merge'), asyncHandler(async (req, res) => {
+    const sourceId = req.params.id
+    const { targetId } = req.body
+
+    if (sourceId === targetId) {
+      throw new BadRequestError('Cannot merge a category into itself')
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const [source, target] = await Promise.all([
+        tx.category.findUnique({ where: { id: sourceId } }),
+        tx.category.findUnique({ where: { id: targetId } })
+      ])
+
+      if (!source || !target) {
+        throw new NotFoundError('Category not found')
+      }
+
+      // Posts that already carry the target category
+      const alreadyLinked = await tx.postCategory.findMany({
+        where: { categoryId: targetId },
+        select: { postId: true }
+      })
+      const alreadyLinkedPostIds = alreadyLinked.map(pc => pc.postId)
+
+      const dropped = await tx.postCategory.deleteMany({
+        where: {
+          categoryId: sourceId,
+          postId: { in: alreadyLinkedPostIds }
+        }
+      })
+
+      const moved = await tx.postCategory.updateMany({
+        where: { categoryId: sourceId },
+        data: { categoryId: targetId }
+      })
+
+      await tx.category.delete({ where: { id: sourceId } })
+
+      const merged = await tx.category.findUnique({
+        where: { id: targetId },
+        include: categoryInclude
+      })
+
+      return {
+        category: present('category', merged, req.user),
+        mergedFrom: present('category', source, req.user),
+        movedLinks: moved.count,
+        droppedDuplicates: dropped.count
+      }
+    })
+
+    res.json(result)
+  }))
+
+  return router
+}
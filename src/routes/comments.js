@@ -0,0 +1,178 @@
+import { Router } from 'express'
+import { authorize } from '../policies.js'
+import { validate } from '../validation.js'
+import { asyncHandler, BadRequestError, NotFoundError } from '../errors.js'
+import { buildOrderBy, withFilter } from '../listQuery.js'
+import { present } from '../serialize.js'
+import { restore, softDelete, withDeletedWhere } from '../softDelete.js'
+import { allowWithDeleted, createLoaders } from './loaders.js'
+import * as schemas from '../schemas.js'
+
+// 💬 Threaded comments: listed and created under /api/posts/:id/comments, edited
+// and deleted under /api/comments/:id
+
+const commentAuthorSelect = {
+  select: { id: true, name: true, email: true }
+}
+
+// Builds a nested include that loads `depth` levels of replies below a comment.
+// Every level is capped at `take` replies; _count.replies tells the client whether
+// more exist so it can page that level via ?parent_id=<commentId>.
+// Nested replies bypass the soft-delete extension, hence the explicit filter.
+function buildRepliesInclude(depth, take, withDeleted = false) {
+  const replyWhere = withDeleted ? {} : { deletedAt: null }
+  const include = {
+    author: commentAuthorSelect,
+    _count: {
+      select: { replies: { where: replyWhere } }
+    }
+  }
+
+  if (depth > 0) {
+    include.replies = {
+      where: replyWhere,
+      include: buildRepliesInclude(depth - 1, take, withDeleted),
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      take
+    }
+  }
+
+  return include
+}
+
+export function commentRoutes({ prisma }) {
+  const router = Router()
+  const { loadComment, loadDeleted } = createLoaders(prisma)
+
+  // 🔍 List a post's comments as a nested tree (default) or a flat list
+  router.get('/posts/:id/comments', validate({ params: schemas.idParams, query: schemas.listCommentsQuery }), allowWithDeleted('comment'), asyncHandler(async (req, res) => {
+    const { id } = req.params
+    const { mode, depth, page, limit, replies_limit, parent_id, filter, sort, withDeleted } = req.query
+
+    const postId = id
+    const skip = (page - 1) * limit
+    const take = limit
+
+    const post = await prisma.post.findUnique({
+      where: withDeletedWhere({ id: postId }, withDeleted),
+      select: { id: true }
+    })
+
+    if (!post) {
+      throw new NotFoundError('Post not found')
+    }
+
+    const levelWhere = withDeletedWhere({ postId }, withDeleted)
+    let include
+
+    if (mode === 'flat') {
+      // Flat list: every comment on the post in chronological order, each carrying
+      // its parentId so the client can still tell replies apart
+      if (parent_id) levelWhere.parentId = parent_id
+      include = buildRepliesInclude(0, undefined, withDeleted)
+    } else {
+      // Tree: paginate one level (top-level comments, or the replies of parent_id)
+      // and nest replies below it up to the requested depth
+      levelWhere.parentId = parent_id ?? null
+      include = buildRepliesInclude(depth, replies_limit, withDeleted)
+    }
+
+    const where = withFilter(levelWhere, filter)
+
+    const comments = await prisma.comment.findMany({
+      where,
+      include,
+      skip,
+      take,
+      orderBy: sort ? buildOrderBy(sort) : [{ createdAt: 'asc' }, { id: 'asc' }]
+    })
+
+    const total = await prisma.comment.count({ where })
+
+    res.json({
+      data: present('comment', comments, req.user),
+      pagination: {
+        page,
+        limit: take,
+        total,
+        totalPages: Math.ceil(total / take)
+      }
+    })
+  }))
+
+  // ✏️ Create a comment as the current user, or a reply when parentId is given
+  router.post('/posts/:id/comments', validate({ params: schemas.idParams, body: schemas.createCommentBody }), authorize('comment:create'), asyncHandler(async (req, res) => {
+    const { id } = req.params
+    const { content, parentId } = req.body
+
+    const postId = id
+
+    // The foreign key alone would accept comments on a soft-deleted post
+    const post = await prisma.post.findUnique({
+      where: { id: postId },
+      select: { id: true }
+    })
+
+    if (!post) {
+      throw new NotFoundError('Post not found')
+    }
+
+    // A reply must belong to the same post as its parent
+    if (parentId) {
+      const parent = await prisma.comment.findUnique({
+        where: { id: parentId },
+        select: { postId: true }
+      })
+
+      if (!parent || parent.postId !== postId) {
+        throw new BadRequestError('Parent comment not found on this post')
+      }
+    }
+
+    const comment = await prisma.comment.create({
+      data: {
+        content,
+        authorId: req.user.id,
+        postId,
+        parentId
+      },
+      include: buildRepliesInclude(0)
+    })
+
+    res.status(201).json(present('comment', comment, req.user))
+  }))
+
+  // 🔄 Edit comment content
+  router.patch('/comments/:id', validate({ params: schemas.idParams, body: schemas.updateCommentBody }), authorize('comment:update', loadComment), asyncHandler(async (req, res) => {
+    const { id } = req.params
+    const { content } = req.body
+
+    const comment = await prisma.comment.update({
+      where: { id },
+      data: { content },
+      include: buildRepliesInclude(0)
+    })
+
+    res.json(present('comment', comment, req.user))
+  }))
+
+  // 🗑️ Soft-delete comment together with all of its replies
+  router.delete('/comments/:id', validate({ params: schemas.idParams }), authorize('comment:delete', loadComment), asyncHandler(async (req, res) => {
+    const { id } = req.params
+
+    await prisma.$transaction(tx => softDelete(tx, 'comment', id))
+
+    res.status(204).send()
+  }))
+
+  // ♻️ Restore comment and the replies deleted with it
+  router.post('/comments/:id/restore', validate({ params: schemas.idParams }), authorize('comment:restore', loadDeleted('comment', { id: true, authorId: true })), asyncHandler(async (req, res) => {
+    const { id } = req.params
+
+    const comment = await prisma.$transaction(tx => restore(tx, 'comment', id))
+
+    res.json(present('comment', comment, req.user))
+  }))
+
+  return router
+}
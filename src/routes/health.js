@@ -0,0 +1,42 @@
+import { Router } from 'express'
+import { asyncHandler } from '../errors.js'
+
+// 🩺 Probes for orchestrators and load balancers, outside /api: no auth, no rate limit
+
+// A ping slower than this counts as a failed check
+const DB_PING_TIMEOUT_MS = 2000
+
+function withTimeout(promise, ms) {
+  let timer
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms)
+  })
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+export function healthRoutes({ prisma, lifecycle }) {
+  const router = Router()
+
+  // Liveness: the process is up and serving requests
+  router.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptime: process.uptime() })
+  })
+
+  // Readiness: not shutting down, and the database answers
+  router.get('/readyz', asyncHandler(async (req, res) => {
+    if (lifecycle.isDraining()) {
+      return res.status(503).json({ status: 'draining' })
+    }
+
+    try {
+      await withTimeout(prisma.$queryRaw`SELECT 1`, DB_PING_TIMEOUT_MS)
+    } catch {
+      return res.status(503).json({ status: 'unavailable', checks: { database: 'unreachable' } })
+    }
+
+    res.json({ status: 'ready', checks: { database: 'ok' } })
+  }))
+
+  return router
+}
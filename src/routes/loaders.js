@@ -0,0 +1,44 @@
+import { authorizeWhen } from '../policies.js'
+import { internalFields } from '../serialize.js'
+
+// Resource loaders for authorize() - they fetch only what the policies inspect
+export function createLoaders(prisma) {
+  return {
+    loadUser: (req) => prisma.user.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, role: true }
+    }),
+
+    loadPost: (req) => prisma.post.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, authorId: true }
+    }),
+
+    loadComment: (req) => prisma.comment.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, authorId: true }
+    }),
+
+    // Restore routes act on records the soft-delete filter would otherwise hide
+    loadDeleted: (model, select) => (req) => prisma[model].findFirst({
+      where: { id: req.params.id, deletedAt: { not: null } },
+      select
+    })
+  }
+}
+
+// ?withDeleted=true is admin-only; the flag is ignored unless it's set
+export const allowWithDeleted = (model) =>
+  authorizeWhen((req) => req.query.withDeleted, `${model}:viewDeleted`)
+
+// Filtering or sorting by a field the DTO hides would still reveal its values, so
+// ?filter/?sort on internal fields needs <model>:viewInternal too
+export const allowInternalQuery = (model) => {
+  const fields = internalFields(model)
+  const sortField = (key) => key.replace(/^-/, '')
+
+  return authorizeWhen(
+    (req) => fields.some(field => req.query.filter?.[field] || req.query.sort?.map(sortField).includes(field)),
+    `${model}:viewInternal`
+  )
+}
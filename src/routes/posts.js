@@ -0,0 +1,512 @@
+import { Router } from 'express'
+import { authorize } from '../policies.js'
+import { validate } from '../validation.js'
+import { asyncHandler, BadRequestError, NotFoundError, ValidationError } from '../errors.js'
+import { setCacheHeaders } from '../httpCache.js'
+import { buildOrderBy, keysetSort, withFilter } from '../listQuery.js'
+import { findPageByCursor, NEWEST_FIRST } from '../pagination.js'
+import { findTransferTarget, transferPosts } from '../ownership.js'
+import { buildProjection, wantsProjection } from '../projection.js'
+import { searchPosts } from '../search.js'
+import { present, presentPage } from '../serialize.js'
+import { restore, softDelete, withDeletedWhere } from '../softDelete.js'
+import { allowWithDeleted, createLoaders } from './loaders.js'
+import * as schemas from '../schemas.js'
+
+// 📝 Posts under /api/posts: search, CRUD, publishing, category assignment and ownership
+
+// Shared include for single-post responses
+const postDetailInclude = {
+  author: {
+    select: { id: true, name: true, email: true }
+  },
+  categories: {
+    include: {
+      category: true
+    }
+  },
+  _count: {
+    select: { comments: { where: { deletedAt: null } } }
+  }
+}
+
+// Models GET /posts/:id reads; a write to any of them drops its cached entries
+const POST_DETAIL_MODELS = ['Post', 'User', 'PostCategory', 'Category', 'Comment']
+
+// ?sort keywords with a meaning of their own; they can't be mixed with field keys
+const SORT_KEYWORDS = ['relevance', 'newest']
+
+// Orders the raw SQL text search supports, keyed by the ?sort value
+const TEXT_SEARCH_SORTS = {
+  relevance: 'relevance',
+  newest: 'newest',
+  '-createdAt': 'newest',
+  '-views': 'views'
+}
+
+// categoryIds without duplicates, or a 400 naming the ones that don't exist. Run it
+// in the transaction that writes the links, so a category can't vanish in between
+async function existingCategoryIds(tx, categoryIds) {
+  const uniqueIds = [...new Set(categoryIds)]
+  const found = await tx.category.findMany({
+    where: { id: { in: uniqueIds } },
+    select: { id: true }
+  })
+
+  const foundIds = new Set(found.map(category => category.id))
+  const missing = uniqueIds.filter(id => !foundIds.has(id))
+
+  if (missing.length > 0) {
+    throw new ValidationError([{ field: 'body.categoryIds', message: `unknown categories: ${missing.join(', ')}` }])
+  }
+
+  return uniqueIds
+}
+
+export function postRoutes({ prisma, cache, viewTracker }) {
+  const router = Router()
+  const { loadPost, loadDeleted } = createLoaders(prisma)
+
+  // ==================== Search ====================
+
+  // Search posts with complex filtering. With `q` the query runs through the
+  // full-text/trigram backend in src/search.js; without it, it's a plain Prisma listing.
+  router.get('/posts/search', validate({ query: schemas.searchPostsQuery }), asyncHandler(async (req, res) => {
+    const { 
+      q, 
+      category, 
+      author, 
+      published, 
+      min_views, 
+      date_from, 
+      date_to,
+      page,
+      limit,
+      pagination,
+      cursor,
+      include_total,
+      filter
+    } = req.query
+    
+    // Before field lists were accepted, ?sort=views meant most viewed first
+    const sort = req.query.sort?.length === 1 && req.query.sort[0] === 'views' ? ['-views'] : req.query.sort
+    const keyword = sort?.find(key => SORT_KEYWORDS.includes(key))
+    
+    if (keyword && sort.length > 1) {
+      throw new BadRequestError(`sort=${keyword} can't be combined with other sort fields`)
+    }
+    
+    if (keyword === 'relevance' && !q) {
+      throw new BadRequestError('sort=relevance requires a search query (q)')
+    }
+    
+    const where = {}
+    
+    // Filter by category
+    if (category) {
+      where.categories = {
+        some: {
+          category: {
+            name: { equals: category, mode: 'insensitive' }
+          }
+        }
+      }
+    }
+    
+    // Filter by author
+    if (author) {
+      where.author = {
+        name: { contains: author, mode: 'insensitive' }
+      }
+    }
+    
+    // Filter by published status
+    if (published !== undefined) {
+      where.published = published
+    }
+    
+    // Filter by minimum views
+    if (min_views) {
+      where.views = { gte: min_views }
+    }
+    
+    // Date range filtering
+    if (date_from || date_to) {
+      where.createdAt = {}
+      if (date_from) where.createdAt.gte = date_from
+      if (date_to) where.createdAt.lte = date_to
+    }
+    
+    const include = {
+      author: {
+        select: { id: true, name: true, email: true }
+      },
+      categories: {
+        include: {
+          category: true
+        }
+      },
+      _count: {
+        select: { comments: { where: { deletedAt: null } } }
+      }
+    }
+    
+    // Ranked text search with highlighted snippets
+    if (q) {
+      if (pagination === 'cursor' || cursor) {
+        throw new BadRequestError('Cursor pagination is not available for text search, use page and limit')
+      }
+    
+      // The search runs in raw SQL, which only knows its own filters and orders
+      if (filter) {
+        throw new BadRequestError('filter[...] is not available for text search, use category, author, published, min_views and date_from/date_to')
+      }
+    
+      const searchSort = TEXT_SEARCH_SORTS[sort ? sort.join(',') : 'relevance']
+      if (!searchSort) {
+        throw new BadRequestError(`Text search sorts by ${Object.keys(TEXT_SEARCH_SORTS).join(', ')}`)
+      }
+    
+      const { data, total } = await searchPosts(prisma, {
+        q,
+        sort: searchSort,
+        page,
+        limit,
+        include,
+        category,
+        author,
+        published,
+        minViews: min_views,
+        dateFrom: date_from,
+        dateTo: date_to
+      })
+    
+      return res.json({
+        data: present('post', data, req.user),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      })
+    }
+    
+    // Without q, newest is just the default order
+    const fieldSort = keyword === 'newest' ? undefined : sort
+    const listWhere = withFilter(where, filter)
+    
+    // Keyset mode for infinite scroll
+    if (pagination === 'cursor' || cursor) {
+      const result = await findPageByCursor(prisma.post, { where: listWhere, include }, {
+        sort: fieldSort ? keysetSort(fieldSort, schemas.postListFields) : NEWEST_FIRST,
+        cursor,
+        limit,
+        withTotal: include_total
+      })
+      return res.json(presentPage('post', result, req.user))
+    }
+    
+    const skip = (page - 1) * limit
+    const take = limit
+    
+    const posts = await prisma.post.findMany({
+      where: listWhere,
+      include,
+      skip,
+      take,
+      orderBy: fieldSort ? buildOrderBy(fieldSort) : [{ createdAt: 'desc' }, { id: 'desc' }]
+    })
+    
+    const total = await prisma.post.count({ where: listWhere })
+    
+    res.json({
+      data: present('post', posts, req.user),
+      pagination: {
+        page,
+        limit: take,
+        total,
+        totalPages: Math.ceil(total / take)
+      }
+    })
+  }))
+
+  // ==================== Posts CRUD ====================
+
+  // Registered after /api/posts/search so "search" is never captured as an :id
+
+  // 🔍 Get post by ID with author, categories and comment count, or just what
+  // ?include / ?fields ask for
+  router.get('/posts/:id', validate({ params: schemas.idParams, query: schemas.getPostQuery }), allowWithDeleted('post'), asyncHandler(async (req, res) => {
+    const { id } = req.params
+    const { withDeleted, include, fields } = req.query
+
+    const { value: post, hit } = await cache.wrap(`post:${id}:${JSON.stringify(req.query)}`, () => prisma.post.findUnique({
+      where: withDeletedWhere({ id }, withDeleted),
+      ...(wantsProjection(req.query) ? { select: buildProjection('post', { include, fields }) } : { include: postDetailInclude })
+    }), { tags: POST_DETAIL_MODELS })
+
+    if (!post) {
+      throw new NotFoundError('Post not found')
+    }
+
+    setCacheHeaders(res, { hit })
+    res.json(present('post', post, req.user))
+  }))
+
+  // ✏️ Create post, assigning categories through the PostCategory junction table.
+  // The author defaults to the caller; only admins may name another authorId.
+  router.post('/posts', validate({ body: schemas.createPostBody }), authorize('post:create'), asyncHandler(async (req, res) => {
+    const { title, content, published, authorId, categoryIds = [] } = req.body
+
+    const post = await prisma.$transaction(async (tx) => tx.post.create({
+      data: {
+        title,
+        content,
+        published,
+        authorId: authorId ?? req.user.id,
+        categories: {
+          create: (await existingCategoryIds(tx, categoryIds)).map(categoryId => ({ categoryId }))
+        }
+      },
+      include: postDetailInclude
+    }))
+
+    res.status(201).json(present('post', post, req.user))
+  }))
+
+  // 🔄 Update post - PUT and PATCH share one handler because Prisma ignores
+  // undefined fields; passing categoryIds replaces the post's category set
+  const updatePost = asyncHandler(async (req, res) => {
+    const { id } = req.params
+    const { title, content, published, categoryIds } = req.body
+
+    const post = await prisma.$transaction(async (tx) => {
+      const updateData = { title, content, published }
+
+      if (categoryIds) {
+        updateData.categories = {
+          deleteMany: {},
+          create: (await existingCategoryIds(tx, categoryIds)).map(categoryId => ({ categoryId }))
+        }
+      }
+
+      return tx.post.update({
+        where: { id },
+        data: updateData,
+        include: postDetailInclude
+      })
+    })
+
+    res.json(present('post', post, req.user))
+  })
+
+  router.put('/posts/:id', validate({ params: schemas.idParams, body: schemas.updatePostBody }), authorize('post:update', loadPost), updatePost)
+  router.patch('/posts/:id', validate({ params: schemas.idParams, body: schemas.updatePostBody }), authorize('post:update', loadPost), updatePost)
+
+  // 📢 Publish / unpublish actions
+  function setPublished(published) {
+    return asyncHandler(async (req, res) => {
+      const { id } = req.params
+
+      const post = await prisma.post.update({
+        where: { id },
+        data: { published },
+        include: postDetailInclude
+      })
+
+      res.json(present('post', post, req.user))
+    })
+  }
+
+  router.post('/posts/:id/publish', validate({ params: schemas.idParams }), authorize('post:publish', loadPost), setPublished(true))
+  router.post('/posts/:id/unpublish', validate({ params: schemas.idParams }), authorize('post:unpublish', loadPost), setPublished(false))
+
+  // 👀 Count a view - once per visitor per window, written to posts.views in batches,
+  // so the returned post's views lag by up to one flush interval
+  router.post('/posts/:id/views', validate({ params: schemas.idParams }), asyncHandler(async (req, res) => {
+    const { id } = req.params
+
+    const post = await prisma.post.findUnique({
+      where: { id },
+      select: { id: true }
+    })
+
+    if (!post) {
+      throw new NotFoundError('Post not found')
+    }
+
+    const counted = viewTracker.record(id, {
+      userId: req.user?.id,
+      ip: req.ip,
+      userAgent: req.get('user-agent') || ''
+    })
+
+    res.status(202).json({ postId: id, counted })
+  }))
+
+  // 🗑️ Soft-delete post and its comments (category links are kept for restore)
+  router.delete('/posts/:id', validate({ params: schemas.idParams }), authorize('post:delete', loadPost), asyncHandler(async (req, res) => {
+    const { id } = req.params
+
+    await prisma.$transaction(tx => softDelete(tx, 'post', id))
+
+    res.status(204).send()
+  }))
+
+  // ♻️ Restore post and the comments deleted with it
+  router.post('/posts/:id/restore', validate({ params: schemas.idParams }), authorize('post:restore', loadDeleted('post', { id: true, authorId: true })), asyncHandler(async (req, res) => {
+    const { id } = req.params
+
+    const post = await prisma.$transaction(tx => restore(tx, 'post', id))
+
+    res.json(present('post', post, req.user))
+  }))
+
+  // ==================== Post ↔ Category Assignment ====================
+
+  // Runs `work` in a transaction after checking that the post and every category exist,
+  // then returns the post's resulting category list
+  async function changePostCategories(postId, categoryIds, work) {
+    return prisma.$transaction(async (tx) => {
+      const post = await tx.post.findUnique({
+        where: { id: postId },
+        select: { id: true }
+      })
+
+      if (!post) {
+        throw new NotFoundError('Post not found')
+      }
+
+      await work(tx, await existingCategoryIds(tx, categoryIds))
+
+      return tx.postCategory.findMany({
+        where: { postId },
+        include: { category: true },
+        orderBy: { createdAt: 'asc' }
+      })
+    })
+  }
+
+  function postCategoriesHandler(work) {
+    return asyncHandler(async (req, res) => {
+      const postId = req.params.id
+      const { categoryIds } = req.body
+
+      const categories = await changePostCategories(postId, categoryIds, (tx, ids) => work(tx, postId, ids))
+
+      res.json(present('postCategory', categories, req.user))
+    })
+  }
+
+  const postCategoriesGuard = [
+    validate({ params: schemas.idParams, body: schemas.postCategoriesBody }),
+    authorize('post:manageCategories', loadPost)
+  ]
+
+  // Attach categories, ignoring ones the post already has
+  router.post('/posts/:id/categories', postCategoriesGuard, postCategoriesHandler((tx, postId, ids) =>
+    tx.postCategory.createMany({
+      data: ids.map(categoryId => ({ postId, categoryId })),
+      skipDuplicates: true
+    })
+  ))
+
+  // Replace the post's whole category set
+  router.put('/posts/:id/categories', postCategoriesGuard, postCategoriesHandler(async (tx, postId, ids) => {
+    await tx.postCategory.deleteMany({
+      where: { postId, categoryId: { notIn: ids } }
+    })
+    await tx.postCategory.createMany({
+      data: ids.map(categoryId => ({ postId, categoryId })),
+      skipDuplicates: true
+    })
+  }))
+
+  // Detach categories
+  router.delete('/posts/:id/categories', postCategoriesGuard, postCategoriesHandler((tx, postId, ids) =>
+    tx.postCategory.deleteMany({
+      where: { postId, categoryId: { in: ids } }
+    })
+  ))
+
+  // ==================== Ownership ====================
+
+  router.post('/posts/:id/transfer', validate({ params: schemas.idParams, body: schemas.transferPostBody }), authorize('post:transfer', loadPost), asyncHandler(async (req, res) => {
+    const { id } = req.params
+    const { newAuthorEmail, reason } = req.body
+    
+    // Use transaction to ensure data consistency
+    const result = await prisma.$transaction(async (tx) => {
+      // Find new author
+      const newAuthor = await findTransferTarget(tx, newAuthorEmail)
+      
+      // Get current post
+      const currentPost = await tx.post.findUnique({
+        where: { id },
+        include: { author: true }
+      })
+      
+      if (!currentPost) {
+        throw new NotFoundError('Post not found')
+      }
+      
+      // Update post author and record the handover
+      await transferPosts(tx, {
+        where: { id },
+        toUserId: newAuthor.id,
+        changedById: req.user.id,
+        reason
+      })
+      
+      const updatedPost = await tx.post.findUnique({
+        where: { id },
+        include: {
+          author: true,
+          categories: {
+            include: { category: true }
+          }
+        }
+      })
+      
+      return {
+        post: present('post', updatedPost, req.user),
+        previousAuthor: present('user', currentPost.author, req.user)
+      }
+    })
+    
+    res.json(result)
+  }))
+
+  // Every handover of the post, oldest first
+  router.get('/posts/:id/ownership-history', validate({ params: schemas.idParams, query: schemas.paginationQuery }), authorize('post:viewOwnershipHistory', loadPost), asyncHandler(async (req, res) => {
+    const { id } = req.params
+    const { page, limit } = req.query
+    
+    const where = { postId: id }
+    const userSelect = { select: { id: true, name: true, email: true } }
+    
+    const [changes, total] = await Promise.all([
+      prisma.postOwnershipChange.findMany({
+        where,
+        include: { fromUser: userSelect, toUser: userSelect, changedBy: userSelect },
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.postOwnershipChange.count({ where })
+    ])
+    
+    res.json({
+      data: present('postOwnershipChange', changes, req.user),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    })
+  }))
+
+  return router
+}
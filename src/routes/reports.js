@@ -0,0 +1,33 @@
+import { Router } from 'express'
+import { authorize } from '../policies.js'
+import { asyncHandler } from '../errors.js'
+import { ANALYTICS_MODELS } from '../analytics.js'
+import { setCacheHeaders } from '../httpCache.js'
+import { describeReports, runReport } from '../reports.js'
+
+// 📑 Named SQL reports under /api/reports (defined in src/reports.js)
+
+export function reportRoutes({ prisma, cache, config }) {
+  const router = Router()
+
+  // Available reports and the parameters each accepts
+  router.get('/reports', authorize('report:read'), (req, res) => {
+    res.json({ data: describeReports() })
+  })
+
+  // e.g. /reports/category-growth?interval=week&date_from=2024-01-01 - parameters
+  // are validated against the report's own rules
+  router.get('/reports/:name', authorize('report:read'), asyncHandler(async (req, res) => {
+    const { name } = req.params
+
+    const { value, hit } = await cache.wrap(`report:${name}:${JSON.stringify(req.query)}`, async () => {
+      const { params, data } = await runReport(prisma, name, req.query)
+      return { report: name, params, generatedAt: new Date().toISOString(), data }
+    }, { tags: ANALYTICS_MODELS, ttl: config.analyticsCacheTtlMs })
+
+    setCacheHeaders(res, { hit, lastModified: value.generatedAt })
+    res.json(value)
+  }))
+
+  return router
+}
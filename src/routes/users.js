@@ -0,0 +1,242 @@
+import { Router } from 'express'
+import { authorize } from '../policies.js'
+import { validate } from '../validation.js'
+import { asyncHandler, BadRequestError, NotFoundError } from '../errors.js'
+import { deleteUserWithReassign, findTransferTarget, transferPosts } from '../ownership.js'
+import { buildOrderBy, keysetSort, withFilter } from '../listQuery.js'
+import { setCacheHeaders } from '../httpCache.js'
+import { findPageByCursor, NEWEST_FIRST } from '../pagination.js'
+import { buildProjection, wantsProjection } from '../projection.js'
+import { present, presentPage } from '../serialize.js'
+import { restore, softDelete, withDeletedWhere } from '../softDelete.js'
+import { allowInternalQuery, allowWithDeleted, createLoaders } from './loaders.js'
+import * as schemas from '../schemas.js'
+
+// 👥 User CRUD under /api/users, plus bulk post transfer for offboarding
+
+// Default tree for GET /users/:id. Nested relations aren't covered by the
+// soft-delete extension, so they filter deleted rows themselves.
+const userDetailInclude = {
+  profile: true,
+  posts: {
+    where: { deletedAt: null },
+    include: {
+      categories: {
+        include: {
+          category: true
+        }
+      },
+      comments: {
+        where: { deletedAt: null },
+        include: {
+          author: {
+            select: { id: true, name: true, email: true }
+          }
+        }
+      }
+    }
+  },
+  comments: {
+    where: { deletedAt: null },
+    include: {
+      post: {
+        select: { id: true, title: true }
+      }
+    }
+  }
+}
+
+// Models GET /users/:id reads; a write to any of them drops its cached entries
+const USER_DETAIL_MODELS = ['User', 'Profile', 'Post', 'PostCategory', 'Category', 'Comment']
+
+export function userRoutes({ prisma, cache }) {
+  const router = Router()
+  const { loadUser, loadDeleted } = createLoaders(prisma)
+
+  // 🔍 READ Operations
+  router.get('/users', validate({ query: schemas.listUsersQuery }), allowWithDeleted('user'), allowInternalQuery('user'), asyncHandler(async (req, res) => {
+    const { page, limit, pagination, cursor, include_total, include_profile, role, search, filter, sort, withDeleted, include, fields } = req.query
+    
+    const skip = (page - 1) * limit
+    const take = limit
+    
+    // Build where clause
+    const baseWhere = withDeletedWhere({}, withDeleted)
+    if (role) baseWhere.role = role
+    if (search) {
+      baseWhere.OR = [
+        { name: { contains: search, mode: 'insensitive' } },
+        { email: { contains: search, mode: 'insensitive' } }
+      ]
+    }
+    const where = withFilter(baseWhere, filter)
+    
+    const cursorMode = pagination === 'cursor' || cursor
+    const sortKey = cursorMode && sort ? keysetSort(sort, schemas.userListFields) : NEWEST_FIRST
+    
+    // ?include / ?fields select exactly what was asked for; include_profile is the
+    // older shorthand for include=profile
+    const projection = wantsProjection(req.query)
+      ? { select: buildProjection('user', { include: include ?? (include_profile ? 'profile' : ''), fields }, { required: cursorMode ? [sortKey.field] : [] }) }
+      : { include: include_profile ? { profile: true } : {} }
+    
+    // Keyset mode: opaque cursors instead of page numbers, total only on request
+    if (cursorMode) {
+      const result = await findPageByCursor(prisma.user, { where, ...projection }, {
+        sort: sortKey,
+        cursor,
+        limit,
+        withTotal: include_total
+      })
+      return res.json(presentPage('user', result, req.user))
+    }
+    
+    const users = await prisma.user.findMany({
+      where,
+      ...projection,
+      skip,
+      take,
+      orderBy: sort ? buildOrderBy(sort) : { createdAt: 'desc' }
+    })
+    
+    const total = await prisma.user.count({ where })
+    
+    res.json({
+      data: present('user', users, req.user),
+      pagination: {
+        page,
+        limit: take,
+        total,
+        totalPages: Math.ceil(total / take)
+      }
+    })
+  }))
+
+  // Get user by ID - with all relations unless ?include / ?fields narrow it down.
+  // Cached per id and query; the DTO is applied per viewer after the cache.
+  router.get('/users/:id', validate({ params: schemas.idParams, query: schemas.getUserQuery }), allowWithDeleted('user'), asyncHandler(async (req, res) => {
+    const { id } = req.params
+    const { withDeleted, include, fields } = req.query
+    
+    const { value: user, hit } = await cache.wrap(`user:${id}:${JSON.stringify(req.query)}`, () => prisma.user.findUnique({
+      where: withDeletedWhere({ id }, withDeleted),
+      ...(wantsProjection(req.query) ? { select: buildProjection('user', { include, fields }) } : { include: userDetailInclude })
+    }), { tags: USER_DETAIL_MODELS })
+    
+    if (!user) {
+      throw new NotFoundError('User not found')
+    }
+    
+    setCacheHeaders(res, { hit })
+    res.json(present('user', user, req.user))
+  }))
+
+  // ✏️ CREATE Operations
+  router.post('/users', validate({ body: schemas.createUserBody }), authorize('user:create'), asyncHandler(async (req, res) => {
+    const { email, name, age, role, profile } = req.body
+    
+    const user = await prisma.user.create({
+      data: {
+        email,
+        name,
+        age,
+        role,
+        ...(profile && {
+          profile: {
+            create: profile
+          }
+        })
+      },
+      include: {
+        profile: true
+      }
+    })
+    
+    res.status(201).json(present('user', user, req.user))
+  }))
+
+  // 🔄 UPDATE Operations
+  router.put('/users/:id', validate({ params: schemas.idParams, body: schemas.updateUserBody }), authorize('user:update', loadUser), asyncHandler(async (req, res) => {
+    const { id } = req.params
+    const { email, name, age, role, profile } = req.body
+    
+    const updateData = { email, name, age, role }
+    
+    // Handle profile update
+    if (profile) {
+      updateData.profile = {
+        upsert: {
+          create: profile,
+          update: profile
+        }
+      }
+    }
+    
+    const user = await prisma.user.update({
+      where: { id },
+      data: updateData,
+      include: { profile: true }
+    })
+    
+    res.json(present('user', user, req.user))
+  }))
+
+  // 🗑️ DELETE Operations - soft delete; the user's posts and comments go with them,
+  // unless ?reassign_to=<email> hands the posts to someone else first
+  router.delete('/users/:id', validate({ params: schemas.idParams, query: schemas.deleteUserQuery }), authorize('user:delete', loadUser), asyncHandler(async (req, res) => {
+    const { id } = req.params
+    const { reassign_to } = req.query
+    
+    await prisma.$transaction(tx => reassign_to
+      ? deleteUserWithReassign(tx, { userId: id, toEmail: reassign_to, changedById: req.user.id })
+      : softDelete(tx, 'user', id))
+    
+    res.status(204).send()
+  }))
+
+  // ♻️ RESTORE - brings back the posts and comments deleted along with the user
+  router.post('/users/:id/restore', validate({ params: schemas.idParams }), authorize('user:restore', loadDeleted('user', { id: true, role: true })), asyncHandler(async (req, res) => {
+    const { id } = req.params
+    
+    const user = await prisma.$transaction(tx => restore(tx, 'user', id))
+    
+    res.json(present('user', user, req.user))
+  }))
+
+  // 🔁 Bulk transfer of a user's posts (offboarding). Without filters every live post moves.
+  router.post('/users/:id/posts/transfer', validate({ params: schemas.idParams, body: schemas.transferUserPostsBody }), authorize('user:transferPosts', loadUser), asyncHandler(async (req, res) => {
+    const { id } = req.params
+    const { newAuthorEmail, postIds, published, categoryId, createdBefore, createdAfter, reason } = req.body
+    
+    const where = { authorId: id }
+    if (postIds) where.id = { in: postIds }
+    if (published !== undefined) where.published = published
+    if (categoryId) where.categories = { some: { categoryId } }
+    if (createdBefore || createdAfter) {
+      where.createdAt = {}
+      if (createdBefore) where.createdAt.lt = createdBefore
+      if (createdAfter) where.createdAt.gte = createdAfter
+    }
+    
+    const result = await prisma.$transaction(async (tx) => {
+      const newAuthor = await findTransferTarget(tx, newAuthorEmail)
+      
+      if (newAuthor.id === id) {
+        throw new BadRequestError('Posts already belong to this user')
+      }
+      
+      const transferred = await transferPosts(tx, {
+        where,
+        toUserId: newAuthor.id,
+        changedById: req.user.id,
+        reason
+      })
+      
+      return { newAuthor, transferred: transferred.length, postIds: transferred }
+    })
+    
+    res.json({ ...result, newAuthor: present('user', result.newAuthor, req.user) })
+  }))
+
+  return router
+}
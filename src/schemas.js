@@ -0,0 +1,324 @@
+import { authConfig } from '../config/auth.js'
+import { filterQuery, sortQuery } from './listQuery.js'
+import { PROJECTION_MODELS } from './projection.js'
+import { t } from './validation.js'
+
+// 📐 Request schemas for every route, grouped by resource
+
+const ROLES = ['USER', 'ADMIN', 'MODERATOR']
+const HEX_COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/
+
+// ==================== Shared ====================
+
+export const idParams = {
+  id: t.int({ required: true, min: 1 })
+}
+
+export const paginationQuery = {
+  page: t.int({ min: 1, default: 1 }),
+  limit: t.int({ min: 1, max: 100, default: 10 })
+}
+
+// Opt-in keyset paging: ?pagination=cursor for the first page, then ?cursor=<next/prevCursor>
+export const cursorPaginationQuery = {
+  pagination: t.enum(['offset', 'cursor'], { default: 'offset' }),
+  cursor: t.string({ maxLength: 500 }),
+  include_total: t.boolean({ default: false })
+}
+
+// Admin-only: include soft-deleted records
+export const withDeletedQuery = {
+  withDeleted: t.boolean({ default: false })
+}
+
+// ?include=posts.comments&fields[user]=id,name - paths and field names are checked
+// against the whitelist in src/projection.js
+export const projectionQuery = {
+  include: t.string({ maxLength: 500 }),
+  fields: t.object(Object.fromEntries(PROJECTION_MODELS.map(model => [model, t.string({ maxLength: 500 })])))
+}
+
+// ==================== Auth ====================
+
+export const registerBody = {
+  email: t.email({ required: true }),
+  password: t.string({ required: true, minLength: authConfig.minPasswordLength, maxLength: 256, trim: false }),
+  name: t.string({ maxLength: 100 }),
+  age: t.int({ min: 0, max: 150 })
+}
+
+export const loginBody = {
+  email: t.email({ required: true }),
+  password: t.string({ required: true, trim: false })
+}
+
+export const refreshTokenBody = {
+  refreshToken: t.string({ required: true })
+}
+
+// ==================== Users ====================
+
+const profileFields = t.object({
+  bio: t.string({ maxLength: 2000, nullable: true }),
+  avatar: t.string({ maxLength: 500, nullable: true }),
+  website: t.string({ maxLength: 500, nullable: true }),
+  location: t.string({ maxLength: 200, nullable: true })
+})
+
+// Fields for ?filter[field][op]= and ?sort= (see src/listQuery.js)
+export const userListFields = {
+  id: t.int(),
+  email: t.string({ maxLength: 254 }),
+  name: t.string({ maxLength: 100, nullable: true }),
+  age: t.int({ nullable: true }),
+  role: t.enum(ROLES),
+  isActive: t.boolean(),
+  createdAt: t.date(),
+  updatedAt: t.date()
+}
+
+export const listUsersQuery = {
+  ...paginationQuery,
+  ...cursorPaginationQuery,
+  include_profile: t.boolean(),
+  role: t.enum(ROLES),
+  search: t.string({ maxLength: 100 }),
+  filter: filterQuery(userListFields),
+  sort: sortQuery(userListFields),
+  ...withDeletedQuery,
+  ...projectionQuery
+}
+
+export const getUserQuery = {
+  ...withDeletedQuery,
+  ...projectionQuery
+}
+
+export const createUserBody = {
+  email: t.email({ required: true }),
+  name: t.string({ maxLength: 100, nullable: true }),
+  age: t.int({ min: 0, max: 150, nullable: true }),
+  role: t.enum(ROLES),
+  profile: profileFields
+}
+
+export const updateUserBody = {
+  ...createUserBody,
+  email: t.email()
+}
+
+// Hands the user's posts to this user in the same transaction as the delete
+export const deleteUserQuery = {
+  reassign_to: t.email()
+}
+
+// ==================== Analytics ====================
+
+export const categoryAnalyticsQuery = {
+  date_from: t.date(),
+  date_to: t.date(),
+  author: t.string({ maxLength: 100 })
+}
+
+export const timeseriesQuery = {
+  interval: t.enum(['day', 'week', 'month'], { default: 'day' }),
+  date_from: t.date(),
+  date_to: t.date(),
+  category: t.string({ maxLength: 100 }),
+  author: t.string({ maxLength: 100 })
+}
+
+// ==================== Posts ====================
+
+const categoryIds = t.array(t.int({ required: true, min: 1 }), { maxItems: 50 })
+
+export const postListFields = {
+  id: t.int(),
+  title: t.string({ maxLength: 200 }),
+  content: t.string({ nullable: true }),
+  published: t.boolean(),
+  views: t.int(),
+  authorId: t.int(),
+  createdAt: t.date(),
+  updatedAt: t.date()
+}
+
+export const searchPostsQuery = {
+  ...paginationQuery,
+  ...cursorPaginationQuery,
+  q: t.string({ maxLength: 200 }),
+  category: t.string({ maxLength: 100 }),
+  author: t.string({ maxLength: 100 }),
+  published: t.boolean(),
+  min_views: t.int({ min: 0 }),
+  date_from: t.date(),
+  date_to: t.date(),
+  filter: filterQuery(postListFields),
+  // Field list, or one of the keywords: relevance (needs q) or newest. Defaults to
+  // relevance with q and newest without.
+  sort: sortQuery(['id', 'title', 'published', 'views', 'createdAt', 'updatedAt'], { keywords: ['relevance', 'newest'] })
+}
+
+export const getPostQuery = {
+  ...withDeletedQuery,
+  ...projectionQuery
+}
+
+export const createPostBody = {
+  title: t.string({ required: true, minLength: 1, maxLength: 200 }),
+  content: t.string({ nullable: true }),
+  published: t.boolean(),
+  authorId: t.int({ min: 1 }),
+  categoryIds
+}
+
+export const updatePostBody = {
+  title: t.string({ minLength: 1, maxLength: 200 }),
+  content: t.string({ nullable: true }),
+  published: t.boolean(),
+  categoryIds
+}
+
+export const postCategoriesBody = {
+  categoryIds: { ...categoryIds, required: true }
+}
+
+const transferReason = t.string({ maxLength: 500 })
+
+export const transferPostBody = {
+  newAuthorEmail: t.email({ required: true }),
+  reason: transferReason
+}
+
+// Offboarding: all of a user's posts, or the ones matching every given filter
+export const transferUserPostsBody = {
+  newAuthorEmail: t.email({ required: true }),
+  postIds: t.array(t.int({ required: true, min: 1 }), { maxItems: 1000 }),
+  published: t.boolean(),
+  categoryId: t.int({ min: 1 }),
+  createdBefore: t.date(),
+  createdAfter: t.date(),
+  reason: transferReason
+}
+
+// ==================== Comments ====================
+
+// parentId isn't filterable: tree mode pages one level, chosen with parent_id
+export const commentListFields = {
+  id: t.int(),
+  content: t.string({ maxLength: 5000 }),
+  authorId: t.int(),
+  createdAt: t.date(),
+  updatedAt: t.date()
+}
+
+export const listCommentsQuery = {
+  ...paginationQuery,
+  mode: t.enum(['tree', 'flat'], { default: 'tree' }),
+  depth: t.int({ min: 0, max: 10, default: 3 }),
+  replies_limit: t.int({ min: 1, max: 50, default: 5 }),
+  parent_id: t.int({ min: 1 }),
+  filter: filterQuery(commentListFields),
+  // Orders the paged level; nested replies stay chronological
+  sort: sortQuery(['id', 'createdAt', 'updatedAt']),
+  ...withDeletedQuery
+}
+
+export const createCommentBody = {
+  content: t.string({ required: true, minLength: 1, maxLength: 5000 }),
+  parentId: t.int({ min: 1 })
+}
+
+export const updateCommentBody = {
+  content: t.string({ required: true, minLength: 1, maxLength: 5000 })
+}
+
+// ==================== Categories ====================
+
+const color = t.string({ pattern: HEX_COLOR_PATTERN, patternMessage: 'must be in #RRGGBB format' })
+
+export const categoryListFields = {
+  id: t.int(),
+  name: t.string({ maxLength: 50 }),
+  color: t.string({ maxLength: 7 })
+}
+
+export const listCategoriesQuery = {
+  filter: filterQuery(categoryListFields),
+  sort: sortQuery(['id', 'name'])
+}
+
+export const createCategoryBody = {
+  name: t.string({ required: true, minLength: 1, maxLength: 50 }),
+  color
+}
+
+export const updateCategoryBody = {
+  name: t.string({ minLength: 1, maxLength: 50 }),
+  color
+}
+
+export const mergeCategoryBody = {
+  targetId: t.int({ required: true, min: 1 })
+}
+
+// ==================== Export / Import ====================
+
+export const exportQuery = {
+  format: t.enum(['csv', 'ndjson'], { default: 'ndjson' })
+}
+
+export const importQuery = {
+  format: t.enum(['csv', 'ndjson'], { default: 'ndjson' }),
+  dry_run: t.boolean({ default: false })
+}
+
+export const transferResourceParams = {
+  resource: t.enum(['users', 'posts', 'comments'], { required: true })
+}
+
+// One row per record, flat so the same shape works as CSV columns and NDJSON keys
+export const importRows = {
+  users: {
+    email: t.email({ required: true }),
+    name: t.string({ maxLength: 100, nullable: true }),
+    age: t.int({ min: 0, max: 150, nullable: true }),
+    role: t.enum(ROLES),
+    isActive: t.boolean(),
+    createdAt: t.date(),
+    bio: t.string({ maxLength: 2000, nullable: true }),
+    avatar: t.string({ maxLength: 500, nullable: true }),
+    website: t.string({ maxLength: 500, nullable: true }),
+    location: t.string({ maxLength: 200, nullable: true })
+  },
+  posts: {
+    authorEmail: t.email({ required: true }),
+    title: t.string({ required: true, minLength: 1, maxLength: 200 }),
+    content: t.string({ nullable: true }),
+    published: t.boolean(),
+    views: t.int({ min: 0 }),
+    createdAt: t.date(),
+    categories: t.array(t.string({ required: true, minLength: 1, maxLength: 50 }), { maxItems: 50 })
+  },
+  comments: {
+    postAuthorEmail: t.email({ required: true }),
+    postTitle: t.string({ required: true, minLength: 1, maxLength: 200 }),
+    authorEmail: t.email({ required: true }),
+    createdAt: t.date({ required: true }),
+    content: t.string({ required: true, minLength: 1, maxLength: 5000 }),
+    parentAuthorEmail: t.email({ nullable: true }),
+    parentCreatedAt: t.date({ nullable: true })
+  }
+}
+
+// ==================== Audit Log ====================
+
+export const listAuditQuery = {
+  ...paginationQuery,
+  ...cursorPaginationQuery,
+  model: t.string({ maxLength: 50 }),
+  record_id: t.string({ maxLength: 100 }),
+  actor_id: t.int({ min: 1 }),
+  action: t.string({ maxLength: 50 }),
+  request_id: t.string({ maxLength: 128 })
+}
@@ -0,0 +1,155 @@
+import { Prisma } from '@prisma/client'
+
+// 🔎 PostgreSQL full-text + trigram search for posts
+//
+// `contains` filters compile to ILIKE '%q%', which can't use a B-tree index, has no
+// notion of relevance and misses typos. This module uses two Postgres features
+// instead, both backed by the GIN indexes in prisma/sql/post-search.sql:
+//   • tsvector / tsquery - stemmed word matching, ranked with title weighted (A)
+//     above content (B), plus highlighted snippets from ts_headline
+//   • pg_trgm word_similarity - catches misspellings in titles ("prsima" → "Prisma")
+
+// Must match the indexed expression in prisma/sql/post-search.sql exactly
+const DOCUMENT = Prisma.sql`(
+  setweight(to_tsvector('english', coalesce(p.title, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(p.content, '')), 'B')
+)`
+
+// Trigram similarity only adds to the score; a full-text hit still outranks a
+// fuzzy title match of similar strength
+const TRIGRAM_WEIGHT = 0.5
+
+// ts_headline copies the stored text as is, HTML included, so it marks matches with
+// control characters instead; highlight() escapes the text, then swaps in <mark>
+const MARK_START = '\u0002'
+const MARK_STOP = '\u0003'
+const HIGHLIGHT_OPTIONS = `StartSel="${MARK_START}", StopSel="${MARK_STOP}"`
+const SNIPPET_OPTIONS = `${HIGHLIGHT_OPTIONS}, MaxFragments=2, MaxWords=25, MinWords=8, FragmentDelimiter=" … "`
+
+// Unqualified so the same fragment orders both the page and the final select
+const ORDER_BY = {
+  relevance: Prisma.sql`rank DESC, "createdAt" DESC, id DESC`,
+  newest: Prisma.sql`"createdAt" DESC, id DESC`,
+  views: Prisma.sql`views DESC, id DESC`
+}
+
+// Escapes LIKE wildcards so user input is matched literally
+const likePattern = (text) => `%${text.replace(/[\\%_]/g, '\\$&')}%`
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }
+
+// ts_headline output → HTML-safe text with <mark>ed matches
+function highlight(text) {
+  return text
+    .replace(/[&<>"']/g, char => HTML_ENTITIES[char])
+    .replaceAll(MARK_START, '<mark>')
+    .replaceAll(MARK_STOP, '</mark>')
+}
+
+// The same filters /api/posts/search offers without a query, as SQL fragments over
+// `posts p` (also used by src/analytics.js)
+export function postFilterConditions({ category, author, published, minViews, dateFrom, dateTo }) {
+  // Raw SQL bypasses the soft-delete extension
+  const conditions = [Prisma.sql`p."deletedAt" IS NULL`]
+
+  if (category) {
+    conditions.push(Prisma.sql`EXISTS (
+      SELECT 1 FROM post_categories pc
+      JOIN categories c ON c.id = pc."categoryId"
+      WHERE pc."postId" = p.id AND lower(c.name) = lower(${category})
+    )`)
+  }
+
+  if (author) {
+    conditions.push(Prisma.sql`EXISTS (
+      SELECT 1 FROM users u
+      WHERE u.id = p."authorId" AND u.name ILIKE ${likePattern(author)}
+    )`)
+  }
+
+  if (published !== undefined) conditions.push(Prisma.sql`p.published = ${published}`)
+  if (minViews !== undefined) conditions.push(Prisma.sql`p.views >= ${minViews}`)
+  if (dateFrom) conditions.push(Prisma.sql`p."createdAt" >= ${dateFrom}`)
+  if (dateTo) conditions.push(Prisma.sql`p."createdAt" <= ${dateTo}`)
+
+  return conditions
+}
+
+// Returns one page of matching posts in rank (or the requested) order, each with a
+// `search` object holding its score and highlighted title/snippet.
+//   include - Prisma include used to hydrate the matched posts
+export async function searchPosts(prisma, { q, sort = 'relevance', page, limit, include, ...filters }) {
+  const conditions = [
+    Prisma.sql`(${DOCUMENT} @@ query.tsq OR ${q} <% p.title)`,
+    ...postFilterConditions(filters)
+  ]
+  const where = Prisma.join(conditions, ' AND ')
+
+  // websearch_to_tsquery accepts user syntax ("quoted phrase", -exclude, or)
+  // without throwing on stray operators like to_tsquery does
+  const tsQuery = Prisma.sql`SELECT websearch_to_tsquery('english', ${q}) AS tsq`
+
+  // ts_headline re-parses the whole text, so it runs only on the final page rather
+  // than on every match. Stray marker characters are stripped from the text first.
+  const matches = await prisma.$queryRaw`
+    WITH query AS (${tsQuery}),
+    matches AS (
+      SELECT
+        p.id, p.title, p.content, p.views, p."createdAt",
+        (ts_rank_cd(${DOCUMENT}, query.tsq) + word_similarity(${q}, p.title) * ${TRIGRAM_WEIGHT})::float8 AS rank
+      FROM posts p, query
+      WHERE ${where}
+    ),
+    page AS (
+      SELECT matches.*, COUNT(*) OVER ()::int AS total
+      FROM matches
+      ORDER BY ${ORDER_BY[sort]}
+      LIMIT ${limit} OFFSET ${(page - 1) * limit}
+    )
+    SELECT
+      page.id,
+      page.rank,
+      page.total,
+      ts_headline('english', translate(page.title, ${MARK_START + MARK_STOP}, ''), query.tsq, ${`${HIGHLIGHT_OPTIONS}, HighlightAll=true`}) AS "titleHighlight",
+      ts_headline('english', translate(coalesce(page.content, ''), ${MARK_START + MARK_STOP}, ''), query.tsq, ${SNIPPET_OPTIONS}) AS snippet
+    FROM page, query
+    ORDER BY ${ORDER_BY[sort]}
+  `
+
+  // Hydrate through Prisma so results have the same shape as a normal listing,
+  // then restore the SQL order that findMany doesn't preserve
+  const posts = await prisma.post.findMany({
+    where: { id: { in: matches.map(match => match.id) } },
+    include
+  })
+  const postsById = new Map(posts.map(post => [post.id, post]))
+
+  const data = matches
+    .filter(match => postsById.has(match.id))
+    .map(match => ({
+      ...postsById.get(match.id),
+      search: {
+        rank: match.rank,
+        highlights: {
+          title: highlight(match.titleHighlight),
+          content: highlight(match.snippet)
+        }
+      }
+    }))
+
+  // COUNT(*) OVER () is computed before LIMIT, so any row carries the full total. A
+  // page past the last one has no rows to carry it and needs a count of its own.
+  let total = matches[0]?.total ?? 0
+
+  if (matches.length === 0 && page > 1) {
+    const [{ count }] = await prisma.$queryRaw`
+      WITH query AS (${tsQuery})
+      SELECT COUNT(*)::int AS count
+      FROM posts p, query
+      WHERE ${where}
+    `
+    total = count
+  }
+
+  return { data, total }
+}
@@ -0,0 +1,100 @@
+import { can } from './policies.js'
+
+// 📤 Response serialization
+//
+// Two layers:
+//   • jsonReplacer - installed as Express's 'json replacer', so it covers every
+//     res.json(): BigInt (raw COUNT/SUM results) becomes a number, or a string when
+//     it's too large to be exact; Decimal and Date keep their toJSON() forms, an
+//     exact decimal string and an ISO 8601 timestamp. Credential keys are dropped
+//     wherever they appear, as a last line of defence.
+//   • present() - per-model DTOs. Only fields listed here reach clients, so a new
+//     column stays private until it's added; `internal` fields are only shown to
+//     viewers allowed `<model>:viewInternal` (admins).
+
+const SECRET_KEYS = new Set(['passwordHash'])
+
+export function jsonReplacer(key, value) {
+  if (SECRET_KEYS.has(key)) return undefined
+
+  if (typeof value === 'bigint') {
+    return value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER)
+      ? Number(value)
+      : value.toString()
+  }
+
+  return value
+}
+
+// fields    - always exposed
+// internal  - exposed to viewers with <model>:viewInternal
+// relations - nested records, presented with their own DTO
+// computed  - non-column keys routes attach (_count, search highlights, ...)
+const DTOS = {
+  user: {
+    fields: ['id', 'email', 'name', 'age', 'role', 'createdAt', 'updatedAt', 'deletedAt'],
+    internal: ['isActive'],
+    relations: { profile: 'profile', posts: 'post', comments: 'comment' },
+    computed: ['_count']
+  },
+  profile: {
+    fields: ['id', 'bio', 'avatar', 'website', 'location', 'userId']
+  },
+  post: {
+    fields: ['id', 'title', 'content', 'published', 'views', 'createdAt', 'updatedAt', 'deletedAt', 'authorId'],
+    relations: { author: 'user', comments: 'comment', categories: 'postCategory' },
+    computed: ['_count', 'search']
+  },
+  postCategory: {
+    fields: ['id', 'postId', 'categoryId', 'createdAt'],
+    relations: { post: 'post', category: 'category' }
+  },
+  comment: {
+    fields: ['id', 'content', 'createdAt', 'updatedAt', 'deletedAt', 'authorId', 'postId', 'parentId'],
+    relations: { author: 'user', post: 'post', parent: 'comment', replies: 'comment' },
+    computed: ['_count']
+  },
+  category: {
+    fields: ['id', 'name', 'color'],
+    relations: { posts: 'postCategory' },
+    computed: ['_count']
+  },
+  postOwnershipChange: {
+    fields: ['id', 'postId', 'fromUserId', 'toUserId', 'changedById', 'reason', 'createdAt'],
+    relations: { post: 'post', fromUser: 'user', toUser: 'user', changedBy: 'user' }
+  }
+}
+
+function presentRecord(model, record, viewer) {
+  const { fields, internal = [], relations = {}, computed = [] } = DTOS[model]
+  const showInternal = internal.length > 0 && can(viewer, `${model}:viewInternal`)
+  const output = {}
+
+  for (const [key, value] of Object.entries(record)) {
+    if (relations[key]) {
+      output[key] = present(relations[key], value, viewer)
+    } else if (fields.includes(key) || computed.includes(key) || (showInternal && internal.includes(key))) {
+      output[key] = value
+    }
+  }
+
+  return output
+}
+
+// Shapes a record, an array of records or null for `viewer` (req.user)
+export function present(model, value, viewer) {
+  if (value === null || value === undefined) return value
+  if (Array.isArray(value)) return value.map(item => present(model, item, viewer))
+
+  return presentRecord(model, value, viewer)
+}
+
+// Same for { data, pagination } list responses
+export function presentPage(model, page, viewer) {
+  return { ...page, data: present(model, page.data, viewer) }
+}
+
+// Fields of `model` only viewers with <model>:viewInternal may see
+export function internalFields(model) {
+  return DTOS[model].internal ?? []
+}
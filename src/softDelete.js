@@ -0,0 +1,157 @@
+import { Prisma } from '@prisma/client'
+import { NotFoundError } from './errors.js'
+
+// 🗃️ Soft deletion for users, posts and comments
+//
+// Deleting sets `deletedAt` instead of removing the row, so the onDelete: Cascade
+// relations in schema.prisma never fire and everything can be restored. The client
+// extension below hides soft-deleted rows from every top-level read.
+//
+// Two things the extension can't do on its own:
+//   • Nested reads (include/select of a to-many relation) aren't intercepted, so
+//     those includes filter with `where: { deletedAt: null }` themselves.
+//   • To see deleted rows, put `deletedAt` in the where clause explicitly - any
+//     mention of the key (even `deletedAt: undefined`), at the top level or in a
+//     top-level AND, turns the filter off. That's what withDeletedWhere() does for
+//     admins.
+
+const SOFT_DELETE_MODELS = ['User', 'Post', 'Comment']
+
+const READ_OPERATIONS = [
+  'findUnique',
+  'findUniqueOrThrow',
+  'findFirst',
+  'findFirstOrThrow',
+  'findMany',
+  'count',
+  'aggregate',
+  'groupBy'
+]
+
+// findPageByCursor() nests the caller's where inside AND: [where, keyset]
+function mentionsDeletedAt(where) {
+  if (!where) return false
+  if ('deletedAt' in where) return true
+  return Array.isArray(where.AND) && where.AND.some(mentionsDeletedAt)
+}
+
+export const softDeleteExtension = Prisma.defineExtension({
+  name: 'softDelete',
+  query: {
+    $allModels: {
+      async $allOperations({ model, operation, args, query }) {
+        if (!SOFT_DELETE_MODELS.includes(model) || !READ_OPERATIONS.includes(operation)) {
+          return query(args)
+        }
+
+        if (mentionsDeletedAt(args?.where)) {
+          return query(args)
+        }
+
+        return query({ ...args, where: { ...args?.where, deletedAt: null } })
+      }
+    }
+  }
+})
+
+// `where` for an admin ?withDeleted=true request; unchanged otherwise
+export function withDeletedWhere(where, withDeleted) {
+  return withDeleted ? { ...where, deletedAt: undefined } : where
+}
+
+// Rows hidden together with their parent. They receive the parent's exact
+// deletedAt timestamp, which is how restore() finds them again.
+const CASCADES = {
+  // Their comments, and everyone's comments on their posts
+  user: (user) => [
+    ['post', { authorId: user.id }],
+    ['comment', { OR: [{ authorId: user.id }, { post: { authorId: user.id } }] }]
+  ],
+  post: (post) => [
+    ['comment', { postId: post.id }]
+  ],
+  comment: () => []
+}
+
+// Collects the ids of every reply below a comment, level by level, deleted or not
+async function replyIds(tx, commentId) {
+  const ids = []
+  let parents = [commentId]
+
+  while (parents.length > 0) {
+    const replies = await tx.comment.findMany({
+      where: { parentId: { in: parents }, deletedAt: undefined },
+      select: { id: true }
+    })
+    parents = replies.map(reply => reply.id)
+    ids.push(...parents)
+  }
+
+  return ids
+}
+
+// Soft-deletes a record and its dependants. Run inside prisma.$transaction so the
+// whole cascade lands atomically.
+export async function softDelete(tx, model, id) {
+  const record = await tx[model].findUnique({ where: { id } })
+
+  if (!record) {
+    throw new NotFoundError(`${model.charAt(0).toUpperCase()}${model.slice(1)} not found`)
+  }
+
+  const deletedAt = new Date()
+
+  for (const [dependant, where] of CASCADES[model](record)) {
+    await tx[dependant].updateMany({
+      where: { ...where, deletedAt: null },
+      data: { deletedAt }
+    })
+  }
+
+  if (model === 'comment') {
+    await tx.comment.updateMany({
+      where: { id: { in: await replyIds(tx, id) }, deletedAt: null },
+      data: { deletedAt }
+    })
+  }
+
+  return tx[model].update({
+    where: { id },
+    data: { deletedAt }
+  })
+}
+
+// Restores a soft-deleted record together with everything its delete cascaded to.
+// Rows deleted separately, earlier or later, keep their own timestamp and stay deleted.
+export async function restore(tx, model, id) {
+  const record = await tx[model].findFirst({
+    where: { id, deletedAt: { not: null } }
+  })
+
+  if (!record) {
+    throw new NotFoundError(`Deleted ${model} not found`)
+  }
+
+  const { deletedAt } = record
+
+  for (const [dependant, where] of CASCADES[model](record)) {
+    await tx[dependant].updateMany({
+      where: { ...where, deletedAt },
+      data: { deletedAt: null }
+    })
+  }
+
+  // Only the replies below this comment - a post delete gives all of the post's
+  // comments the same timestamp, and they aren't this comment's to bring back
+  if (model === 'comment') {
+    await tx.comment.updateMany({
+      where: { id: { in: await replyIds(tx, id) }, deletedAt },
+      data: { deletedAt: null }
+    })
+  }
+
+  return tx[model].update({
+    where: { id },
+    data: { deletedAt: null }
+  })
+}
@@ -0,0 +1,57 @@
+import { AsyncLocalStorage } from 'node:async_hooks'
+import { Prisma } from '@prisma/client'
+
+// 🔗 The interactive transaction a query runs in
+//
+// Prisma gives query extensions no public way to tell whether a query is part of
+// prisma.$transaction(async (tx) => ...). This extension overrides $transaction to
+// open an AsyncLocalStorage scope around the callback, so extensions below it can:
+//   • run their own queries through the same transaction (src/audit.js)
+//   • defer work until the transaction has committed (src/cache.js)
+//
+// Register it last. An overridden $transaction hands out transaction clients with
+// the query hooks of the layers below it only, so extensions added on top would be
+// skipped for every query made through tx (see extendClient() in src/db.js).
+//
+// Inside the callback, write through `tx`: a query made on the outer client still
+// sees the scope but runs outside the transaction.
+
+const scopes = new AsyncLocalStorage()
+
+// { client, afterCommit(callback) } while a transaction callback runs, else undefined
+export function currentTransaction() {
+  return scopes.getStore()
+}
+
+// client.$transaction(callback, options) with the scope open inside it; afterCommit
+// callbacks run once the transaction committed
+export async function runInTransaction(client, callback, options) {
+  const committed = []
+
+  // Awaited inside the scope: `tx => tx.post.update(...)` returns a lazy PrismaPromise
+  // that would otherwise only run once Prisma awaits it, outside the scope
+  const result = await client.$transaction(
+    (tx) => scopes.run({ client: tx, afterCommit: (fn) => committed.push(fn) }, async () => await callback(tx)),
+    options
+  )
+
+  for (const fn of committed) {
+    await fn()
+  }
+
+  return result
+}
+
+export const transactionScope = Prisma.defineExtension((client) => client.$extends({
+  name: 'transactionScope',
+  client: {
+    $transaction(...args) {
+      // Batch transactions ($transaction([...])) run no code of ours in between
+      if (typeof args[0] !== 'function') {
+        return client.$transaction(...args)
+      }
+
+      return runInTransaction(client, ...args)
+    }
+  }
+}))
@@ -0,0 +1,162 @@
+import { ValidationError } from './errors.js'
+
+// ✅ Declarative request validation
+//
+// A schema is a plain object of field rules built with the `t` helpers below, e.g.
+//   { email: t.email({ required: true }), age: t.int({ min: 0 }) }
+// Values are coerced before they reach Prisma ("30" → 30, "true" → true,
+// "2024-01-01" → Date), so handlers never see raw strings where numbers belong.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+// Field rule builders
+export const t = {
+  string: (options = {}) => ({ type: 'string', ...options }),
+  email: (options = {}) => ({
+    type: 'string',
+    pattern: EMAIL_PATTERN,
+    patternMessage: 'must be a valid email address',
+    maxLength: 254,
+    ...options
+  }),
+  int: (options = {}) => ({ type: 'int', ...options }),
+  boolean: (options = {}) => ({ type: 'boolean', ...options }),
+  date: (options = {}) => ({ type: 'date', ...options }),
+  enum: (values, options = {}) => ({ type: 'enum', values, ...options }),
+  array: (items, options = {}) => ({ type: 'array', items, ...options }),
+  // unknown: 'reject' (default) reports extra keys, 'strip' silently drops them
+  object: (fields, options = {}) => ({ type: 'object', fields, ...options })
+}
+
+// Query strings arrive as strings, JSON bodies as real types - accept both forms
+const coercers = {
+  string(value, rule) {
+    if (typeof value !== 'string') return { message: 'must be a string' }
+    const text = rule.trim === false ? value : value.trim()
+    if (rule.minLength !== undefined && text.length < rule.minLength) {
+      return { message: rule.minLength === 1 ? 'must not be empty' : `must be at least ${rule.minLength} characters` }
+    }
+    if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+      return { message: `must be at most ${rule.maxLength} characters` }
+    }
+    if (rule.pattern && !rule.pattern.test(text)) {
+      return { message: rule.patternMessage || `must match ${rule.pattern}` }
+    }
+    return { value: text }
+  },
+
+  int(value, rule) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value
+    if (typeof number !== 'number' || !Number.isInteger(number)) return { message: 'must be an integer' }
+    if (rule.min !== undefined && number < rule.min) return { message: `must be >= ${rule.min}` }
+    if (rule.max !== undefined && number > rule.max) return { message: `must be <= ${rule.max}` }
+    return { value: number }
+  },
+
+  boolean(value) {
+    if (value === true || value === 'true') return { value: true }
+    if (value === false || value === 'false') return { value: false }
+    return { message: 'must be true or false' }
+  },
+
+  date(value) {
+    const date = typeof value === 'string' || typeof value === 'number' ? new Date(value) : value
+    if (!(date instanceof Date) || Number.isNaN(date.getTime())) return { message: 'must be a valid date' }
+    return { value: date }
+  },
+
+  enum(value, rule) {
+    if (!rule.values.includes(value)) return { message: `must be one of ${rule.values.join(', ')}` }
+    return { value }
+  },
+
+  array(value, rule, path, errors) {
+    // ?ids=1,2,3 in a query string is accepted as an array too
+    const items = typeof value === 'string' ? value.split(',') : value
+    if (!Array.isArray(items)) return { message: 'must be an array' }
+    if (rule.maxItems !== undefined && items.length > rule.maxItems) {
+      return { message: `must contain at most ${rule.maxItems} items` }
+    }
+    return { value: items.map((item, index) => checkField(rule.items, item, `${path}[${index}]`, errors)) }
+  },
+
+  object(value, rule, path, errors) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      return { message: 'must be an object' }
+    }
+    return { value: checkObject(rule, value, path, errors) }
+  }
+}
+
+function checkField(rule, value, path, errors) {
+  if (value === undefined || value === '') {
+    if (rule.required) errors.push({ field: path, message: 'is required' })
+    return rule.default
+  }
+
+  if (value === null) {
+    if (!rule.nullable) errors.push({ field: path, message: 'must not be null' })
+    return null
+  }
+
+  const result = coercers[rule.type](value, rule, path, errors)
+
+  if (result.message) {
+    errors.push({ field: path, message: result.message })
+    return undefined
+  }
+
+  return result.value
+}
+
+function checkObject(rule, input, path, errors) {
+  const output = {}
+
+  for (const key of Object.keys(input)) {
+    if (!(key in rule.fields) && rule.unknown !== 'strip') {
+      errors.push({ field: path ? `${path}.${key}` : key, message: 'is not allowed' })
+    }
+  }
+
+  for (const [key, fieldRule] of Object.entries(rule.fields)) {
+    const value = checkField(fieldRule, input[key], path ? `${path}.${key}` : key, errors)
+    if (value !== undefined) output[key] = value
+  }
+
+  return output
+}
+
+// Validates `input` against an object schema; returns { value, errors }
+export function validateObject(schema, input = {}, path = '') {
+  const errors = []
+  const rule = schema.type === 'object' ? schema : t.object(schema)
+  const value = checkObject(rule, input || {}, path, errors)
+  return { value, errors }
+}
+
+// Express middleware validating any of params, query and body.
+// Query strings tolerate unknown keys (cache busters, tracking params); params and
+// bodies reject them. On success the coerced values replace the originals.
+export function validate(schemas) {
+  return (req, res, next) => {
+    const details = []
+
+    for (const part of ['params', 'query', 'body']) {
+      if (!schemas[part]) continue
+
+      const schema = schemas[part].type === 'object'
+        ? schemas[part]
+        : t.object(schemas[part], { unknown: part === 'query' ? 'strip' : 'reject' })
+
+      const { value, errors } = validateObject(schema, req[part], part)
+      details.push(...errors)
+      req[part] = value
+    }
+
+    if (details.length > 0) {
+      return next(new ValidationError(details))
+    }
+
+    next()
+  }
+}
@@ -0,0 +1,137 @@
+import { createHash, randomBytes } from 'node:crypto'
+import { Prisma } from '@prisma/client'
+
+// 👀 Deduplicated, buffered post view counting
+//
+// Incrementing posts.views on every request makes each view an UPDATE that locks the
+// post row, so a popular post turns into a queue of writers. Instead views are:
+//   • deduplicated - one view per visitor per post within `windowMs`, where a visitor
+//     is the user id, or a salted hash of IP + User-Agent for anonymous requests
+//   • buffered - counted per post in memory and written every `flushIntervalMs` as
+//     one UPDATE ... FROM (VALUES ...) statement, one row touched per post
+//
+// Both live in process memory: counts since the last flush are lost on a crash, and
+// several instances each deduplicate on their own. Call flush() before shutting down.
+//
+// The raw UPDATE bypasses Prisma's query hooks, so the cache-invalidation extension
+// never sees it; a flush invalidates cached Post reads itself when given `cache`.
+
+// Rows per UPDATE statement, to keep the bind parameter count well below the limit
+const FLUSH_CHUNK_SIZE = 500
+
+export function createViewTracker({
+  prisma,
+  cache,
+  windowMs = 30 * 60 * 1000,
+  flushIntervalMs = 5000,
+  maxBufferedPosts = 1000,
+  maxVisitors = 100_000
+}) {
+  // Per-process salt: fingerprints can't be reversed to IPs or matched across restarts
+  const salt = randomBytes(16)
+
+  const counts = new Map()
+  const seen = new Map()
+  let timer = null
+  let flushing = null
+
+  function visitorKey({ userId, ip, userAgent }) {
+    if (userId) return `u:${userId}`
+
+    return `f:${createHash('sha256').update(salt).update(`${ip}|${userAgent}`).digest('base64url')}`
+  }
+
+  function forgetExpired(now) {
+    // Entries share one window, so insertion order is expiry order
+    for (const [key, expiresAt] of seen) {
+      if (expiresAt > now && seen.size <= maxVisitors) break
+      seen.delete(key)
+    }
+  }
+
+  // Returns true when the view was counted, false for a repeat within the window
+  function record(postId, visitor) {
+    const now = Date.now()
+    const key = `${postId}:${visitorKey(visitor)}`
+
+    if (seen.get(key) > now) return false
+
+    seen.delete(key)
+    seen.set(key, now + windowMs)
+    forgetExpired(now)
+
+    counts.set(postId, (counts.get(postId) || 0) + 1)
+
+    // Started on first use so apps that never track views keep no timer
+    if (!timer) {
+      timer = setInterval(() => flush().catch(error => console.error('❌ Failed to flush post views:', error)), flushIntervalMs)
+      timer.unref()
+    }
+
+    if (counts.size >= maxBufferedPosts) {
+      flush().catch(error => console.error('❌ Failed to flush post views:', error))
+    }
+
+    return true
+  }
+
+  async function writeCounts(batch) {
+    // Sorted ids: concurrent flushes from several instances lock rows in the same order
+    const rows = [...batch].sort(([a], [b]) => a - b)
+
+    for (let i = 0; i < rows.length; i += FLUSH_CHUNK_SIZE) {
+      const values = rows
+        .slice(i, i + FLUSH_CHUNK_SIZE)
+        .map(([id, count]) => Prisma.sql`(${id}::int, ${count}::int)`)
+
+      await prisma.$executeRaw`
+        UPDATE posts AS p
+        SET views = p.views + v.count
+        FROM (VALUES ${Prisma.join(values)}) AS v(id, count)
+        WHERE p.id = v.id
+      `
+    }
+  }
+
+  // Writes buffered counts, after any flush already in progress
+  async function flush() {
+    while (flushing) {
+      await flushing.catch(() => {})
+    }
+
+    if (counts.size === 0) return
+
+    const batch = new Map(counts)
+    counts.clear()
+
+    flushing = writeCounts(batch)
+      .catch(error => {
+        // Put the counts back so the next flush retries them
+        for (const [id, count] of batch) {
+          counts.set(id, (counts.get(id) || 0) + count)
+        }
+        throw error
+      })
+      // Outside the catch above: the counts are written even if this fails
+      .then(() => cache?.invalidate('Post'))
+      .finally(() => {
+        flushing = null
+      })
+
+    return flushing
+  }
+
+  // Flushes what's left and stops the timer
+  async function stop() {
+    clearInterval(timer)
+    timer = null
+    await flush()
+  }
+
+  return {
+    record,
+    flush,
+    stop,
+    pending: () => [...counts.values()].reduce((sum, count) => sum + count, 0)
+  }
+}
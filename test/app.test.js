@@ -0,0 +1,147 @@
+import { after, before, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { createApp } from '../src/app.js'
+import { signAccessToken } from '../src/auth.js'
+
+// HTTP tests against createApp() with an in-memory stand-in for Prisma: only the
+// delegate methods these routes call exist, and $extends returns the same object
+
+const USERS = [
+  { id: 1, email: 'admin@example.com', name: 'Ada', role: 'ADMIN', isActive: true, createdAt: new Date('2024-01-01') },
+  { id: 2, email: 'bob@example.com', name: 'Bob', role: 'USER', isActive: true, createdAt: new Date('2024-02-01') },
+  { id: 3, email: 'cy@example.com', name: 'Cy', role: 'USER', isActive: false, createdAt: new Date('2024-03-01') }
+]
+const [admin, user] = USERS
+const CATEGORY_IDS = [1, 2]
+
+function fakePrisma() {
+  const prisma = {
+    user: {
+      findUnique: async ({ where }) => USERS.find(user => user.id === where.id) ?? null,
+      findMany: async () => USERS,
+      count: async () => USERS.length
+    },
+    category: {
+      findMany: async ({ where }) => CATEGORY_IDS.filter(id => where.id.in.includes(id)).map(id => ({ id }))
+    },
+    post: {
+      // Echoes the data back, so tests can see which category links were written
+      create: async ({ data }) => ({ id: 1, ...data, categories: data.categories.create })
+    },
+    $queryRaw: async () => [{ ok: 1 }],
+    $transaction: async (callback) => callback(prisma)
+  }
+  prisma.$extends = (extension) => (typeof extension === 'function' ? extension(prisma) : prisma)
+  return prisma
+}
+
+// Starts the app on a free port; resolves to { app, request, close }
+async function startApp(options = {}) {
+  const app = createApp({ prisma: fakePrisma(), ...options, config: { logRequests: false, ...options.config } })
+  const server = app.listen(0)
+  await new Promise(resolve => server.once('listening', resolve))
+
+  const base = `http://127.0.0.1:${server.address().port}`
+  const request = (path, { user, ...init } = {}) => fetch(`${base}${path}`, {
+    ...init,
+    headers: { ...(user && { Authorization: `Bearer ${signAccessToken(user)}` }), ...init.headers }
+  })
+
+  return { app, request, close: () => new Promise(resolve => server.close(resolve)) }
+}
+
+describe('health probes', () => {
+  let api
+  before(async () => { api = await startApp() })
+  after(() => api.close())
+
+  it('answers /healthz and /readyz while running', async () => {
+    assert.equal((await api.request('/healthz')).status, 200)
+    assert.equal((await api.request('/readyz')).status, 200)
+  })
+
+  it('fails /readyz once draining', async () => {
+    api.app.locals.lifecycle.drain()
+    assert.equal((await api.request('/readyz')).status, 503)
+  })
+})
+
+describe('errors', () => {
+  let api
+  before(async () => { api = await startApp() })
+  after(() => api.close())
+
+  it('answers unknown routes with problem+json', async () => {
+    const res = await api.request('/api/nope')
+
+    assert.equal(res.status, 404)
+    assert.match(res.headers.get('content-type'), /^application\/problem\+json/)
+    assert.equal((await res.json()).status, 404)
+  })
+})
+
+describe('user list filters', () => {
+  let api
+  before(async () => { api = await startApp() })
+  after(() => api.close())
+
+  it('shows isActive to admins only', async () => {
+    const asAdmin = await api.request('/api/users', { user: admin })
+    const asUser = await api.request('/api/users', { user })
+
+    assert.equal(asAdmin.status, 200)
+    assert.equal((await asAdmin.json()).data[2].isActive, false)
+    assert.equal((await asUser.json()).data[2].isActive, undefined)
+  })
+
+  it('lets only admins filter or sort by isActive', async () => {
+    assert.equal((await api.request('/api/users?filter[isActive][eq]=false', { user })).status, 403)
+    assert.equal((await api.request('/api/users?sort=-isActive', { user })).status, 403)
+    assert.equal((await api.request('/api/users?filter[isActive][eq]=false', { user: admin })).status, 200)
+  })
+})
+
+describe('post categories', () => {
+  let api
+  before(async () => { api = await startApp() })
+  after(() => api.close())
+
+  const createPost = (categoryIds) => api.request('/api/posts', {
+    user,
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ title: 'Hello', categoryIds })
+  })
+
+  it('links each category once', async () => {
+    const res = await createPost([2, 1, 2])
+
+    assert.equal(res.status, 201)
+    assert.deepEqual((await res.json()).categories, [{ categoryId: 2 }, { categoryId: 1 }])
+  })
+
+  it('rejects unknown categories with a validation error', async () => {
+    const res = await createPost([1, 99])
+    const problem = await res.json()
+
+    assert.equal(res.status, 400)
+    assert.deepEqual(problem.errors, [{ field: 'body.categoryIds', message: 'unknown categories: 99' }])
+  })
+})
+
+describe('config overrides', () => {
+  let api
+  before(async () => {
+    api = await startApp({ config: { rateLimit: { enabled: true, budgets: { default: { anonymous: 1 } } } } })
+  })
+  after(() => api.close())
+
+  it('merge into nested sections instead of replacing them', async () => {
+    const first = await api.request('/api/nope')
+    const second = await api.request('/api/nope')
+
+    // windowMs and the other budgets still come from config/app.js
+    assert.equal(first.headers.get('ratelimit-policy'), '1;w=60')
+    assert.equal(second.status, 429)
+  })
+})
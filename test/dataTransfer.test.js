@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { Readable } from 'node:stream'
+import { exportLines, readRows } from '../src/dataTransfer.js'
+
+// Exports run against a stand-in delegate that pages through `records` by id
+
+function fakePrisma(delegate, records) {
+  return {
+    [delegate]: {
+      findMany: async ({ where, take }) => records.filter(record => record.id > where.id.gt).slice(0, take)
+    }
+  }
+}
+
+async function collect(iterable) {
+  const items = []
+  for await (const item of iterable) items.push(item)
+  return items
+}
+
+const author = { email: 'ada@example.com' }
+const post = { title: 'Hello', author }
+
+function comment(id, { parent = null, parentId = parent?.id ?? null } = {}) {
+  return { id, content: `#${id}`, createdAt: new Date(Date.UTC(2025, 0, id)), author, post, parentId, parent }
+}
+
+describe('comment export', () => {
+  it('leaves out replies below a deleted comment, however deep', async () => {
+    const deletedParent = { id: 1, createdAt: new Date(Date.UTC(2025, 0, 1)), deletedAt: new Date(), author }
+    const records = [
+      comment(2),
+      comment(3, { parent: deletedParent }),
+      comment(4, { parent: { id: 3, createdAt: new Date(Date.UTC(2025, 0, 3)), deletedAt: null, author } }),
+      comment(5, { parent: { id: 2, createdAt: new Date(Date.UTC(2025, 0, 2)), deletedAt: null, author } })
+    ]
+
+    const lines = await collect(exportLines(fakePrisma('comment', records), 'comments', 'ndjson'))
+
+    assert.deepEqual(lines.map(line => JSON.parse(line).content), ['#2', '#5'])
+  })
+})
+
+describe('post CSV round trip', () => {
+  it('keeps | and \\ inside category names', async () => {
+    const categories = ['News|Events', 'C:\\Temp', 'Plain']
+    const records = [{
+      id: 1,
+      ...post,
+      content: null,
+      published: true,
+      views: 0,
+      createdAt: new Date(Date.UTC(2025, 0, 1)),
+      categories: categories.map(name => ({ category: { name } }))
+    }]
+
+    const csv = (await collect(exportLines(fakePrisma('post', records), 'posts', 'csv'))).join('')
+    const rows = await collect(readRows(Readable.from([csv]), 'posts', 'csv'))
+
+    assert.deepEqual(rows[0].data.categories, categories)
+  })
+})
@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { can, denialError } from '../src/policies.js'
+import { ForbiddenError, UnauthorizedError } from '../src/errors.js'
+
+// Policies are plain functions, so these call can() with plain objects
+
+const owner = { id: 1, role: 'USER' }
+const stranger = { id: 2, role: 'USER' }
+const moderator = { id: 3, role: 'MODERATOR' }
+const admin = { id: 4, role: 'ADMIN' }
+
+const post = { id: 10, authorId: owner.id }
+const comment = { id: 20, authorId: owner.id }
+
+describe('can()', () => {
+  it('lets owners edit and delete their own posts', () => {
+    assert.equal(can(owner, 'post:update', post), true)
+    assert.equal(can(owner, 'post:delete', post), true)
+    assert.equal(can(stranger, 'post:update', post), false)
+    assert.equal(can(stranger, 'post:delete', post), false)
+  })
+
+  it('lets moderators unpublish posts but not edit them', () => {
+    assert.equal(can(moderator, 'post:unpublish', post), true)
+    assert.equal(can(moderator, 'post:update', post), false)
+    assert.equal(can(moderator, 'comment:delete', comment), true)
+  })
+
+  it('lets admins act on anyone\'s posts', () => {
+    assert.equal(can(admin, 'post:update', post), true)
+    assert.equal(can(admin, 'post:delete', post), true)
+    assert.equal(can(admin, 'post:create', null, { authorId: owner.id }), true)
+    assert.equal(can(owner, 'post:create', null, { authorId: stranger.id }), false)
+  })
+
+  it('keeps comment edits with their author, admins included', () => {
+    assert.equal(can(owner, 'comment:update', comment), true)
+    assert.equal(can(admin, 'comment:update', comment), false)
+  })
+
+  it('only lets admins change roles', () => {
+    assert.equal(can(owner, 'user:update', { id: owner.id }, { name: 'New' }), true)
+    assert.equal(can(owner, 'user:update', { id: owner.id }, { role: 'ADMIN' }), false)
+    assert.equal(can(admin, 'user:update', { id: owner.id }, { role: 'MODERATOR' }), true)
+  })
+
+  it('denies anonymous callers everything but public reads', () => {
+    assert.equal(can(null, 'post:create'), false)
+    assert.equal(can(null, 'comment:create'), false)
+    assert.equal(can(null, 'post:update', post), false)
+    assert.equal(can(null, 'report:read'), false)
+  })
+
+  it('denies unknown actions', () => {
+    assert.equal(can(admin, 'post:obliterate', post), false)
+    assert.equal(can(admin, 'nothing:read'), false)
+  })
+
+  describe('restores', () => {
+    it('keeps post restores with admins, so owners cannot undo a moderation delete', () => {
+      assert.equal(can(owner, 'post:restore', post), false)
+      assert.equal(can(moderator, 'post:restore', post), false)
+      assert.equal(can(admin, 'post:restore', post), true)
+    })
+
+    it('lets moderators and admins restore comments, but not their authors', () => {
+      assert.equal(can(owner, 'comment:restore', comment), false)
+      assert.equal(can(moderator, 'comment:restore', comment), true)
+      assert.equal(can(admin, 'comment:restore', comment), true)
+    })
+
+    it('keeps user restores with admins', () => {
+      assert.equal(can(moderator, 'user:restore', { id: owner.id }), false)
+      assert.equal(can(admin, 'user:restore', { id: owner.id }), true)
+    })
+  })
+})
+
+describe('denialError()', () => {
+  it('answers anonymous callers with 401', () => {
+    const error = denialError(null, 'post:create')
+
+    assert.ok(error instanceof UnauthorizedError)
+    assert.equal(error.status, 401)
+    assert.deepEqual(error.extensions, { action: 'post:create' })
+  })
+
+  it('answers signed-in callers with 403 naming their role', () => {
+    const error = denialError(moderator, 'post:restore')
+
+    assert.ok(error instanceof ForbiddenError)
+    assert.equal(error.status, 403)
+    assert.match(error.message, /MODERATOR/)
+    assert.deepEqual(error.extensions, { action: 'post:restore' })
+  })
+})